@@ -1,6 +1,12 @@
 "use server"
 import { auth } from "@clerk/nextjs/server";
 import { db } from "@/lib/prisma";
+import { availabilitySchema, calDavConnectionSchema, dateOverrideSchema } from "@/app/lib/validators";
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from "@/lib/time-zone";
+import { getGoogleCalendar } from "@/lib/calendar/google";
+import { createCalDavProvider } from "@/lib/calendar/caldav";
+import { encryptSecret } from "@/lib/secrets";
+import { assertPublicUrl } from "@/lib/public-url";
 
 
 export async function getUserAvailability() {
@@ -28,6 +34,7 @@ export async function getUserAvailability() {
 
     const availabilityData = {
         timeGap:user.availability.timeGap,
+        timeZone:user.availability.timeZone,
     };
 
     [
@@ -39,14 +46,18 @@ export async function getUserAvailability() {
         "friday",
         "saturday"
     ].forEach((day)=>{
-        const dayAvailability = user.availability.days.find((d) => d.days === day.toUpperCase());
+        const dayRanges = user.availability.days
+            .filter((d) => d.day === day.toUpperCase())
+            .sort((a,b) => a.startTime.toISOString().slice(11,16).localeCompare(b.startTime.toISOString().slice(11,16)));
         
         availabilityData[day] = {
-            isAvailable:!!dayAvailability,
-            startTime:dayAvailability?
-            dayAvailability.startTime.toISOString().slice(11,16):"09:00",
-            endTime:dayAvailability?
-            dayAvailability.endTime.toISOString().slice(11,16):"17:00",
+            isAvailable:dayRanges.length > 0,
+            ranges:dayRanges.length > 0
+                ? dayRanges.map((range)=>({
+                    startTime:range.startTime.toISOString().slice(11,16),
+                    endTime:range.endTime.toISOString().slice(11,16),
+                }))
+                : [{startTime:"09:00",endTime:"17:00"}],
         }
     })
 
@@ -72,16 +83,20 @@ export async function updateUserAvailability(data){
         throw new Error("User not found");
     }
 
-    const availabilityData = Object.entries(data).flatMap(([day,
-        {isAvailable,startTime,endTime}])=>{
+    const {timeGap,timeZone,...days} = availabilitySchema.parse(data);
+
+    // Times are stored as wall-clock times of the host's time zone, the date
+    // part is only a placeholder.
+    const availabilityData = Object.entries(days).flatMap(([day,
+        {isAvailable,ranges}])=>{
          if(isAvailable){
             const baseData = new Date().toISOString().split("T")[0];
-            return{
+            // One DayAvailability row per range, so a day can be split.
+            return ranges.map(({startTime,endTime})=>({
                 day:day.toUpperCase(),
                 startTime:new Date(`${baseData}T${startTime}:00Z`),
                 endTime:new Date(`${baseData}T${endTime}:00Z`),
-                
-            }
+            }))
          }
 
          return [];
@@ -93,7 +108,8 @@ export async function updateUserAvailability(data){
         await db.availability.update({
             where:{id:user.availability.id},
             data:{
-                timeGap:data.timeGap,
+                timeGap,
+                timeZone,
                 days:{
                     deleteMany:{},
                     create:availabilityData,
@@ -105,7 +121,8 @@ export async function updateUserAvailability(data){
          
             data:{
                 userId:user.id,
-                timeGap:data.timeGap,
+                timeGap,
+                timeZone,
                 days:{
                    create:availabilityData,
                 }
@@ -114,4 +131,261 @@ export async function updateUserAvailability(data){
     }
 
     return {success:true};
-}
\ No newline at end of file
+}
+
+export async function getUserTimeZone(){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const availability = await db.availability.findFirst({
+        where:{user:{clerkUserId:userId}},
+        select:{timeZone:true},
+    })
+
+    return availability?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+export async function getDateOverrides(){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const availability = await db.availability.findFirst({
+        where:{user:{clerkUserId:userId}},
+        select:{id:true,timeZone:true},
+    })
+
+    if(!availability){
+        return [];
+    }
+
+    // Overrides for days that are already over in the host's zone are hidden.
+    const today = formatInTimeZone(new Date(),availability.timeZone,"yyyy-MM-dd");
+
+    const overrides = await db.dateOverride.findMany({
+        where:{
+            availabilityId:availability.id,
+            date:{gte:new Date(`${today}T00:00:00Z`)},
+        },
+        orderBy:{date:"asc"},
+    })
+
+    return overrides.map((override)=>({
+        id:override.id,
+        date:override.date.toISOString().slice(0,10),
+        isAvailable:override.isAvailable,
+        startTime:override.startTime?.toISOString().slice(11,16) ?? null,
+        endTime:override.endTime?.toISOString().slice(11,16) ?? null,
+        reason:override.reason,
+    }));
+}
+
+export async function saveDateOverride(data){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const availability = await db.availability.findFirst({
+        where:{user:{clerkUserId:userId}},
+        select:{id:true},
+    })
+
+    if(!availability){
+        throw new Error("Save your weekly availability before adding date overrides");
+    }
+
+    const {date,isAvailable,startTime,endTime,reason} = dateOverrideSchema.parse(data);
+
+    // Same convention as DayAvailability: wall-clock times in the host's zone.
+    const overrideData = {
+        isAvailable,
+        startTime:isAvailable ? new Date(`${date}T${startTime}:00Z`) : null,
+        endTime:isAvailable ? new Date(`${date}T${endTime}:00Z`) : null,
+        reason:reason || null,
+    };
+
+    await db.dateOverride.upsert({
+        where:{
+            availabilityId_date:{
+                availabilityId:availability.id,
+                date:new Date(`${date}T00:00:00Z`),
+            }
+        },
+        update:overrideData,
+        create:{
+            ...overrideData,
+            availabilityId:availability.id,
+            date:new Date(`${date}T00:00:00Z`),
+        },
+    })
+
+    return {success:true};
+}
+
+export async function deleteDateOverride(overrideId){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const override = await db.dateOverride.findUnique({
+        where:{id:overrideId},
+        include:{availability:{include:{user:true}}},
+    })
+
+    if(!override || override.availability.user.clerkUserId !== userId){
+        throw new Error("Date override not found or you don't have permission to delete it");
+    }
+
+    await db.dateOverride.delete({
+        where:{id:overrideId},
+    })
+
+    return {success:true};
+}
+
+export async function getBusyCalendars(){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+        select:{busyCalendarIds:true},
+    })
+
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    let data;
+    try {
+        const calendar = await getGoogleCalendar(userId);
+        if(!calendar){
+            return {connected:false,calendars:[]};
+        }
+        ({data} = await calendar.calendarList.list({minAccessRole:"freeBusyReader"}));
+    } catch (error) {
+        console.error("Failed to list Google calendars:", error);
+        return {connected:false,calendars:[]};
+    }
+
+    // With nothing chosen yet, only the primary calendar counts as busy.
+    return {
+        connected:true,
+        calendars:(data.items ?? []).map((item)=>({
+            id:item.id,
+            name:item.summaryOverride || item.summary,
+            primary:!!item.primary,
+            selected:user.busyCalendarIds.length > 0
+                ? user.busyCalendarIds.includes(item.id)
+                : !!item.primary,
+        })),
+    };
+}
+
+export async function updateBusyCalendars(calendarIds){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    if(!Array.isArray(calendarIds) || calendarIds.some((id)=>typeof id !== "string")){
+        throw new Error("Invalid calendar selection");
+    }
+
+    await db.user.update({
+        where:{clerkUserId:userId},
+        data:{busyCalendarIds:calendarIds},
+    })
+
+    return {success:true};
+}
+
+export async function getCalendarConnection(){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+        include:{calDavConnection:true},
+    })
+
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    // Never send the stored password back to the client.
+    const connection = user.calDavConnection;
+    return connection
+        ? {provider:"CALDAV",serverUrl:connection.serverUrl,username:connection.username}
+        : null;
+}
+
+export async function connectCalDav(data){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const validatedData = calDavConnectionSchema.parse(data);
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+    })
+
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    await assertPublicUrl(validatedData.serverUrl);
+
+    try {
+        await createCalDavProvider(validatedData).verify();
+    } catch (error) {
+        console.error("Failed to verify CalDAV connection:", error);
+        throw new Error("Could not connect to the calendar. Check the URL and credentials.");
+    }
+
+    const connection = {
+        serverUrl:validatedData.serverUrl,
+        username:validatedData.username,
+        password:encryptSecret(validatedData.password),
+    }
+
+    await db.calDavConnection.upsert({
+        where:{userId:user.id},
+        create:{userId:user.id,...connection},
+        update:connection,
+    })
+
+    return {success:true};
+}
+
+export async function disconnectCalDav(){
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+    })
+
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    await db.calDavConnection.deleteMany({
+        where:{userId:user.id},
+    })
+
+    return {success:true};
+}
@@ -1,14 +1,67 @@
 "use server";
 
 import { db } from "@/lib/prisma";
-import { clerkClient } from "@clerk/nextjs/server";
-import { google } from "googleapis";
+import { randomUUID } from "crypto";
+import { cookies } from "next/headers";
+import { addDays, addMinutes } from "date-fns";
+import { isValidTimeZone } from "@/lib/time-zone";
+import { assertSlotAvailable } from "@/lib/slots";
+import { getEventSchedule, lockHostSchedules } from "@/lib/event-schedule";
+import { getEventHosts, orderHostsForBooking } from "@/lib/hosts";
+import {
+  bookingRequestSchema,
+  buildAnswersSchema,
+  cancellationSchema,
+  rescheduleRequestSchema,
+  slotHoldRequestSchema,
+} from "@/app/lib/validators";
+import { resolveMeetingLocation } from "@/lib/conferencing";
+import { toStoredAnswers } from "@/lib/questions";
+import {
+  notifyBookingConfirmed,
+  notifyBookingRescheduled,
+} from "@/lib/notifications";
+import {
+  getCalendarProvider,
+  getProviderBusyTimes,
+} from "@/lib/calendar";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  CANCELLABLE_BOOKING_STATUSES,
+  addBookingToCalendar,
+  cancelBookings,
+  getBookingIdFromManageToken,
+  getBookingManageToken,
+  getCalendarEventDetails,
+  getPendingExpiry,
+  removeBookingFromCalendar,
+  scheduleBookingReminders,
+  withoutBookingBusyTime,
+} from "@/lib/bookings";
+import { cancelBookingJobs } from "@/lib/jobs";
+import { triggerWebhooks } from "@/lib/webhooks";
 
 export async function createBooking(bookingData) {
   try {
+    const parsed = bookingRequestSchema.safeParse(bookingData);
+    if (!parsed.success) {
+      throw new Error(parsed.error.issues[0].message);
+    }
+    const {
+      eventId,
+      name,
+      email,
+      additionalInfo,
+      timeZone,
+      holdId,
+      location: inviteeLocation,
+      answers,
+    } = parsed.data;
+    const startTime = new Date(parsed.data.startTime);
+
     // Fetch the event and its creator
-    const event = await db.event.findUnique({
-      where: { id: bookingData.eventId },
+    const event = await db.event.findFirst({
+      where: { id: eventId, deletedAt: null },
       include: { user: true },
     });
 
@@ -16,62 +69,655 @@ export async function createBooking(bookingData) {
       throw new Error("Event not found");
     }
 
-    // Get the event creator's Google OAuth token from Clerk
-    const client = await clerkClient(); // ← FIX 1: await clerkClient()
-    const { data } = await client.users.getUserOauthAccessToken( // ← FIX 2: use client
-      event.user.clerkUserId,
-      "google"
+    const parsedAnswers = buildAnswersSchema(event.questions).safeParse(
+      answers ?? {}
     );
+    if (!parsedAnswers.success) {
+      throw new Error(parsedAnswers.error.issues[0].message);
+    }
+    const storedAnswers = toStoredAnswers(event.questions, parsedAnswers.data);
+
+    const endTime = addMinutes(startTime, event.duration);
+
+    // Hosts without a connected calendar still get bookings; they just live
+    // in our database only.
+    const hosts = await getEventHosts(event);
+    const calendars = await getHostCalendars(hosts);
+    const calendarBusyTimes = await getHostsBusyTimes(hosts, calendars, startTime);
+    const ownHoldId = await findOwnSlotHoldId(holdId);
+    const bookingId = randomUUID();
+
+    // The slot is checked again under the hosts' locks, against the bookings
+    // as they are now, and the booking is written before the locks are
+    // released.
+    let undoCalendarChange;
+    let booking;
+    try {
+      booking = await db.$transaction(
+        async (tx) => {
+          await lockHostSchedules(tx, hosts.map((host) => host.id));
+
+          // The invitee's own hold must not block their booking.
+          const { host, coHosts } = await pickHosts(tx, event, hosts, {
+            startTime,
+            excludeHoldId: ownHoldId,
+            calendarBusyTimes,
+          });
+          const calendar = calendars[host.id];
+          const { requestConference, ...location } = resolveMeetingLocation({
+            event,
+            bookingId,
+            inviteeLocation,
+            calendar,
+          });
+
+          if (ownHoldId) {
+            await tx.slotHold.deleteMany({ where: { id: ownHoldId } });
+          }
 
-    const token = data[0]?.token;
+          const bookingData = {
+            id: bookingId,
+            eventId: event.id,
+            userId: host.id,
+            coHostIds: coHosts.map((coHost) => coHost.id),
+            name,
+            email,
+            startTime,
+            endTime,
+            additionalInfo,
+            answers: storedAnswers.length > 0 ? storedAnswers : undefined,
+            timeZone: isValidTimeZone(timeZone) ? timeZone : null,
+            locationType: location.locationType,
+            location: location.location,
+            meetLink: location.meetLink,
+          };
 
-    if (!token) {
-      throw new Error("Event creator has not connected Google Calendar");
+          // Requests that need the host's approval hold the slot, but get no
+          // calendar event until they are approved.
+          if (event.requiresConfirmation) {
+            return tx.booking.create({
+              data: {
+                ...bookingData,
+                status: "PENDING",
+                expiresAt: getPendingExpiry(event, startTime),
+              },
+            });
+          }
+
+          // Create the calendar event, with a video call if the event uses
+          // one, or join the slot's shared one
+          const calendarFields = await addBookingToCalendar(
+            bookingData,
+            event,
+            host,
+            { calendar, requestConference, coHosts, client: tx }
+          );
+          undoCalendarChange = () =>
+            removeBookingFromCalendar({
+              ...bookingData,
+              ...calendarFields,
+              event,
+              user: host,
+            });
+
+          // Create booking in database
+          const created = await tx.booking.create({
+            data: {
+              ...bookingData,
+              ...calendarFields,
+            },
+          });
+          await scheduleBookingReminders(created, event, { client: tx });
+
+          return created;
+        },
+        { timeout: 20000 }
+      );
+    } catch (error) {
+      // Calendars are not part of the transaction: a change made to one
+      // before it rolled back is reverted by hand.
+      if (undoCalendarChange) {
+        await undoCalendarChange().catch((calendarError) => {
+          console.error("Failed to undo calendar change:", calendarError);
+        });
+      }
+      throw error;
     }
 
-    // Set up Google OAuth client
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({ access_token: token });
-
-    const calendar = google.calendar({ version: "v3", auth: oauth2Client });
-
-    // Create Google Meet link
-    const meetResponse = await calendar.events.insert({
-      calendarId: "primary",
-      conferenceDataVersion: 1,
-      requestBody: {
-        summary: `${bookingData.name} - ${event.title}`,
-        description: bookingData.additionalInfo,
-        start: { dateTime: bookingData.startTime },
-        end: { dateTime: bookingData.endTime },
-        attendees: [{ email: bookingData.email }, { email: event.user.email }],
-        conferenceData: {
-          createRequest: { requestId: `${event.id}-${Date.now()}` },
+    const bookingWithHost = {
+      ...booking,
+      event,
+      user: hosts.find((host) => host.id === booking.userId),
+    };
+    await runAfterCommit(
+      async () => {
+        // Requests are confirmed by email once the host approves them.
+        if (booking.status !== "PENDING") {
+          await notifyBookingConfirmed(bookingWithHost);
+        }
+      },
+      () => triggerWebhooks("booking.created", bookingWithHost)
+    );
+
+    return {
+      success: true,
+      booking,
+      pending: booking.status === "PENDING",
+      meetLink: booking.meetLink,
+      manageToken: getBookingManageToken(booking.id),
+    };
+  } catch (error) {
+    console.error("Error creating booking:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The booking behind an invitee's manage link, or null when the link is
+// invalid. `canCancel` and `canReschedule` tell what the invitee can still
+// do with it.
+export async function getManagedBooking(token) {
+  const booking = await findManagedBooking(token);
+
+  if (!booking) {
+    return null;
+  }
+
+  return {
+    id: booking.id,
+    name: booking.name,
+    email: booking.email,
+    additionalInfo: booking.additionalInfo,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    timeZone: booking.timeZone,
+    locationType: booking.locationType,
+    location: booking.location,
+    meetLink: booking.meetLink,
+    status: booking.status,
+    cancellationReason: booking.cancellationReason,
+    rescheduledToToken: booking.rescheduledTo
+      ? getBookingManageToken(booking.rescheduledTo.id)
+      : null,
+    canCancel: canInviteeCancel(booking),
+    canReschedule: canInviteeReschedule(booking),
+    event: {
+      id: booking.event.id,
+      title: booking.event.title,
+      description: booking.event.description,
+      duration: booking.event.duration,
+      locationType: booking.event.locationType,
+      locationValue: booking.event.locationValue,
+      user: {
+        name: booking.user.name,
+        email: booking.user.email,
+        image: booking.user.image,
+        username: booking.user.username,
+      },
+    },
+  };
+}
+
+export async function cancelBookingAsInvitee(token, data) {
+  const booking = await findManagedBooking(token);
+
+  if (!booking) {
+    throw new Error("Booking not found");
+  }
+
+  if (!canInviteeCancel(booking)) {
+    throw new Error("This booking can no longer be cancelled");
+  }
+
+  const { reason } = cancellationSchema.parse(data);
+
+  await cancelBookings([booking], { cancelledBy: "INVITEE", reason });
+
+  return { success: true };
+}
+
+// Moves a booking to a new slot. The old booking is kept as RESCHEDULED and
+// a new one takes its place, so both times stay in the history; the
+// calendar event is moved rather than recreated, so attendees keep the same
+// invite and meeting link. Seats move between their slots' shared events
+// instead.
+export async function rescheduleBooking(data) {
+  try {
+    const parsed = rescheduleRequestSchema.safeParse(data);
+    if (!parsed.success) {
+      throw new Error(parsed.error.issues[0].message);
+    }
+    const { token, timeZone, holdId } = parsed.data;
+    const startTime = new Date(parsed.data.startTime);
+
+    const booking = await findManagedBooking(token);
+
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+
+    if (!canInviteeReschedule(booking)) {
+      throw new Error("This booking can no longer be rescheduled");
+    }
+
+    const { event } = booking;
+    if (event.deletedAt) {
+      throw new Error("This event is no longer available");
+    }
+
+    const endTime = addMinutes(startTime, event.duration);
+
+    // The event is moved in the calendar it was created in; busy times come
+    // from whichever calendar the host uses now.
+    const calendar = await getCalendarProvider(
+      booking.user,
+      booking.calendarProvider
+    );
+    // The booking keeps its hosts, also on round-robin events.
+    const hosts = await getBookingHosts(booking);
+    const coHosts = hosts.slice(1);
+    const calendarBusyTimes = await getHostsBusyTimes(
+      hosts,
+      await getHostCalendars(hosts),
+      startTime,
+      booking
+    );
+    const ownHoldId = await findOwnSlotHoldId(holdId);
+    const bookingId = randomUUID();
+
+    let undoCalendarChange;
+    let newBooking;
+    try {
+      newBooking = await db.$transaction(
+        async (tx) => {
+          await lockHostSchedules(tx, hosts.map((host) => host.id));
+
+          await pickHosts(tx, event, hosts, {
+            startTime,
+            excludeHoldId: ownHoldId,
+            excludeBookingId: booking.id,
+            calendarBusyTimes,
+          });
+
+          // Cancelled in the meantime (by the host or from another tab).
+          const { count } = await tx.booking.updateMany({
+            where: {
+              id: booking.id,
+              status: { in: ACTIVE_BOOKING_STATUSES },
+            },
+            data: { status: "RESCHEDULED", statusChangedAt: new Date() },
+          });
+          if (count === 0) {
+            throw new Error("This booking can no longer be rescheduled");
+          }
+
+          const moved = { ...booking, id: bookingId, startTime, endTime };
+          let calendarFields = {
+            meetLink: booking.meetLink,
+            calendarEventId: booking.calendarEventId,
+            calendarProvider: booking.calendarProvider,
+          };
+
+          if (event.seats > 1) {
+            // A seat joins (or starts) its new slot's shared calendar event,
+            // and leaves the old one once the move is committed.
+            const currentCalendar = await getCalendarProvider(booking.user);
+            calendarFields = await addBookingToCalendar(
+              { ...moved, calendarEventId: null },
+              event,
+              booking.user,
+              {
+                calendar: currentCalendar,
+                requestConference:
+                  booking.locationType === "GOOGLE_MEET" &&
+                  currentCalendar.supportsConferencing,
+                client: tx,
+              }
+            );
+            undoCalendarChange = () =>
+              removeBookingFromCalendar({
+                ...moved,
+                ...calendarFields,
+                event,
+                user: booking.user,
+              });
+          } else if (booking.calendarEventId) {
+            const updated = await calendar.updateEvent(
+              booking.calendarEventId,
+              getCalendarEventDetails(moved, event, booking.user, coHosts)
+            );
+            undoCalendarChange = () =>
+              calendar.updateEvent(
+                booking.calendarEventId,
+                getCalendarEventDetails(booking, event, booking.user, coHosts)
+              );
+            calendarFields.meetLink = updated.meetLink ?? booking.meetLink;
+          }
+
+          if (ownHoldId) {
+            await tx.slotHold.deleteMany({ where: { id: ownHoldId } });
+          }
+
+          // The old booking's reminders give way to the new one's.
+          await cancelBookingJobs([booking.id], { client: tx });
+
+          const created = await tx.booking.create({
+            data: {
+              id: bookingId,
+              eventId: event.id,
+              userId: booking.userId,
+              name: booking.name,
+              email: booking.email,
+              startTime,
+              endTime,
+              additionalInfo: booking.additionalInfo,
+              answers: booking.answers ?? undefined,
+              coHostIds: booking.coHostIds,
+              timeZone: isValidTimeZone(timeZone) ? timeZone : booking.timeZone,
+              locationType: booking.locationType,
+              location: booking.location,
+              ...calendarFields,
+              icsUid: booking.icsUid,
+              icsSequence: booking.icsSequence + 1,
+              rescheduledFromId: booking.id,
+            },
+          });
+          await scheduleBookingReminders(created, event, { client: tx });
+
+          return created;
         },
+        { timeout: 20000 }
+      );
+    } catch (error) {
+      // Calendars are not part of the transaction: a change made to one
+      // before it rolled back is reverted by hand.
+      if (undoCalendarChange) {
+        await undoCalendarChange().catch((calendarError) => {
+          console.error("Failed to undo calendar change:", calendarError);
+        });
+      }
+      throw error;
+    }
+
+    const rescheduled = { ...newBooking, event, user: booking.user };
+    await runAfterCommit(
+      async () => {
+        if (event.seats > 1) {
+          await removeBookingFromCalendar(booking);
+        }
+      },
+      () => notifyBookingRescheduled(rescheduled, booking),
+      () =>
+        triggerWebhooks("booking.rescheduled", rescheduled, {
+          previousBooking: { ...booking, status: "RESCHEDULED" },
+        })
+    );
+
+    return {
+      success: true,
+      booking: newBooking,
+      meetLink: newBooking.meetLink,
+      manageToken: getBookingManageToken(newBooking.id),
+    };
+  } catch (error) {
+    console.error("Error rescheduling booking:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The follow-ups of a booking change that has been committed. Each failure is
+// logged and the rest still run: the change stands either way, so the
+// invitee is told it succeeded.
+async function runAfterCommit(...steps) {
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error("Failed to finish booking change:", error);
+    }
+  }
+}
+
+// How long a picked slot stays reserved for an invitee.
+const SLOT_HOLD_MINUTES = 10;
+// Holds are free to take, so an event only has room for so many at once.
+const MAX_SLOT_HOLDS_PER_EVENT = 20;
+const SLOT_HOLD_VISITOR_COOKIE = "slot_hold_visitor";
+
+// Identifies the browser holding slots, so a visitor only ever holds one slot
+// per event and can only release their own holds.
+async function getSlotHoldVisitorId() {
+  const cookieStore = await cookies();
+  const visitorId = cookieStore.get(SLOT_HOLD_VISITOR_COOKIE)?.value;
+  if (visitorId) {
+    return visitorId;
+  }
+
+  const newVisitorId = randomUUID();
+  cookieStore.set(SLOT_HOLD_VISITOR_COOKIE, newVisitorId, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: 60 * 60 * 24,
+  });
+  return newVisitorId;
+}
+
+// `holdId` if it is the visitor's own hold, else null: a hold someone else
+// took still blocks its slot.
+async function findOwnSlotHoldId(holdId) {
+  if (!holdId) {
+    return null;
+  }
+
+  const hold = await db.slotHold.findFirst({
+    where: { id: holdId, visitorId: await getSlotHoldVisitorId() },
+    select: { id: true },
+  });
+  return hold?.id ?? null;
+}
+
+// Reserves a slot while the invitee fills in the booking form. Holding a new
+// slot releases the visitor's previous hold on the event. When rescheduling,
+// `rescheduleToken` keeps the booking being moved from blocking its own
+// neighbourhood. On round-robin events the hold goes to the host the booking
+// would get now; the booking itself picks again.
+export async function holdSlot(holdData) {
+  const parsed = slotHoldRequestSchema.safeParse(holdData);
+  if (!parsed.success) {
+    throw new Error(parsed.error.issues[0].message);
+  }
+  const { eventId, rescheduleToken } = parsed.data;
+  const visitorId = await getSlotHoldVisitorId();
+
+  const event = await db.event.findFirst({
+    where: { id: eventId, deletedAt: null },
+    include: { user: true },
+  });
+
+  if (!event) {
+    throw new Error("Event not found");
+  }
+
+  const start = new Date(parsed.data.startTime);
+  const now = new Date();
+  const rescheduling = rescheduleToken
+    ? await findManagedBooking(rescheduleToken)
+    : null;
+  const hosts = rescheduling
+    ? await getBookingHosts(rescheduling)
+    : await getEventHosts(event);
+  const calendarBusyTimes = await getHostsBusyTimes(
+    hosts,
+    await getHostCalendars(hosts),
+    start,
+    rescheduling
+  );
+
+  return db.$transaction(async (tx) => {
+    await lockHostSchedules(tx, hosts.map((host) => host.id));
+
+    // Expired holds are already ignored everywhere; this only tidies up.
+    await tx.slotHold.deleteMany({
+      where: {
+        OR: [
+          { userId: { in: hosts.map((host) => host.id) }, expiresAt: { lte: now } },
+          { eventId: event.id, visitorId },
+        ],
       },
     });
 
-    const meetLink = meetResponse.data.hangoutLink;
-    const googleEventId = meetResponse.data.id;
+    const activeHolds = await tx.slotHold.count({
+      where: { eventId: event.id, expiresAt: { gt: now } },
+    });
+    if (activeHolds >= MAX_SLOT_HOLDS_PER_EVENT) {
+      throw new Error(
+        "Too many people are booking this event right now. Please try again in a few minutes."
+      );
+    }
+
+    const { host, coHosts } = await pickHosts(tx, event, hosts, {
+      startTime: start,
+      excludeBookingId: rescheduling?.id,
+      calendarBusyTimes,
+      now,
+    });
 
-    // Create booking in database
-    const booking = await db.booking.create({
+    const hold = await tx.slotHold.create({
       data: {
         eventId: event.id,
-        userId: event.userId,
-        name: bookingData.name,
-        email: bookingData.email,
-        startTime: bookingData.startTime,
-        endTime: bookingData.endTime,
-        additionalInfo: bookingData.additionalInfo,
-        meetLink,
-        googleEventId,
+        userId: host.id,
+        coHostIds: coHosts.map((coHost) => coHost.id),
+        visitorId,
+        startTime: start,
+        endTime: addMinutes(start, event.duration),
+        expiresAt: addMinutes(now, SLOT_HOLD_MINUTES),
       },
     });
 
-    return { success: true, booking, meetLink };
-  } catch (error) {
-    console.error("Error creating booking:", error);
-    return { success: false, error: error.message };
+    return { id: hold.id, startTime: hold.startTime, expiresAt: hold.expiresAt };
+  });
+}
+
+export async function releaseSlotHold(holdId) {
+  const visitorId = await getSlotHoldVisitorId();
+  await db.slotHold.deleteMany({
+    where: { id: holdId, visitorId },
+  });
+
+  return { success: true };
+}
+
+// A booking's host followed by its co-hosts. `booking` needs its `user`.
+async function getBookingHosts(booking) {
+  const coHosts = await db.user.findMany({
+    where: { id: { in: booking.coHostIds } },
+  });
+  return [booking.user, ...coHosts];
+}
+
+// Each host's calendar provider, by host id.
+async function getHostCalendars(hosts) {
+  const calendars = {};
+  for (const host of hosts) {
+    calendars[host.id] = await getCalendarProvider(host);
+  }
+  return calendars;
+}
+
+// Each host's calendar busy times around one slot, enough to cover any
+// buffers, by host id. The calendar event of the booking being rescheduled
+// (`rescheduling`) is left out.
+async function getHostsBusyTimes(hosts, calendars, startTime, rescheduling) {
+  const busyTimes = {};
+  for (const host of hosts) {
+    busyTimes[host.id] = withoutBookingBusyTime(
+      await getProviderBusyTimes(
+        calendars[host.id],
+        addDays(startTime, -1),
+        addDays(startTime, 1)
+      ),
+      rescheduling
+    );
+  }
+  return busyTimes;
+}
+
+// Who hosts a booking at `startTime`: { host, coHosts }. COLLECTIVE events
+// need every one of `hosts` free and the first becomes the host; otherwise
+// it's the first free one, in round-robin order when there are several.
+// Must run inside the transaction `tx` holding the hosts' schedule locks.
+// Throws why the slot is taken when it can't be booked.
+async function pickHosts(tx, event, hosts, options) {
+  if (event.kind === "COLLECTIVE") {
+    if (hosts.length === 0) {
+      throw new Error("This event is not accepting bookings");
+    }
+    for (const host of hosts) {
+      await assertHostFree(tx, event, host, options);
+    }
+    return { host: hosts[0], coHosts: hosts.slice(1) };
   }
-}
\ No newline at end of file
+
+  const candidates = await orderHostsForBooking(event, hosts, options.startTime, tx);
+  let reason = new Error("This event is not accepting bookings");
+
+  for (const host of candidates) {
+    try {
+      await assertHostFree(tx, event, host, options);
+      return { host, coHosts: [] };
+    } catch (error) {
+      reason = error;
+    }
+  }
+
+  throw reason;
+}
+
+async function assertHostFree(
+  tx,
+  event,
+  host,
+  { startTime, excludeHoldId, excludeBookingId, calendarBusyTimes, now }
+) {
+  const schedule = await getEventSchedule(event.id, tx, {
+    hostId: host.id,
+    excludeHoldId,
+    excludeBookingId,
+    externalBusyTimes: calendarBusyTimes[host.id],
+  });
+  if (!schedule?.availability) {
+    throw new Error("This event is not accepting bookings");
+  }
+
+  assertSlotAvailable({ ...schedule, startTime, now });
+}
+
+function findManagedBooking(token) {
+  const bookingId = getBookingIdFromManageToken(token);
+
+  if (!bookingId) {
+    return null;
+  }
+
+  return db.booking.findUnique({
+    where: { id: bookingId },
+    include: { event: true, user: true, rescheduledTo: true },
+  });
+}
+
+// Pending requests can be withdrawn, but only confirmed bookings can be
+// moved.
+function canInviteeCancel(booking) {
+  return (
+    CANCELLABLE_BOOKING_STATUSES.includes(booking.status) &&
+    booking.startTime > new Date()
+  );
+}
+
+function canInviteeReschedule(booking) {
+  return (
+    ACTIVE_BOOKING_STATUSES.includes(booking.status) &&
+    booking.startTime > new Date()
+  );
+}
@@ -2,6 +2,7 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
+import { ACTIVE_BOOKING_STATUSES } from "@/lib/bookings";
 
 export async function getLatestUpdates() {
   const { userId } = await auth();
@@ -22,6 +23,7 @@ export async function getLatestUpdates() {
   const upcomingMeetings = await db.booking.findMany({
     where: {
       userId: user.id,
+      status: { in: ACTIVE_BOOKING_STATUSES },
       startTime: { gte: now },
     },
     include: {
@@ -3,8 +3,20 @@ import { auth } from "@clerk/nextjs/server";
 
 import { eventSchema } from "@/app/lib/validators";
 import { db } from "@/lib/prisma";
-import { addDays, addMinutes, parseISO, startOfDay } from "date-fns";
-import { format } from "date-fns";
+import { addDays } from "date-fns";
+import { getAvailableDates, getBookingWindow, intersectAvailableDates, mergeAvailableDates } from "@/lib/slots";
+import { getCalendarBusyTimes } from "@/lib/calendar";
+import { getEventSchedule } from "@/lib/event-schedule";
+import { getEventHosts } from "@/lib/hosts";
+import { LOCATION_TYPES } from "@/lib/locations";
+import { MAX_SLUG_LENGTH, getDeletedEventSlug, slugify } from "@/lib/slugs";
+import {
+    ACTIVE_BOOKING_STATUSES,
+    CANCELLABLE_BOOKING_STATUSES,
+    cancelBookings,
+    getBookingIdFromManageToken,
+    withoutBookingBusyTime,
+} from "@/lib/bookings";
 
 //Api route to create a new event
 
@@ -25,16 +37,140 @@ export async function createEvent(data) {
         throw new Error("User not found");
     }
 
+    await assertTeamMember(user.id,validatedData);
+    const slug = await getEventSlug(user.id,validatedData);
+
     const event = await db.event.create({
         data:{
-            ...validatedData,
+            ...toEventData(validatedData),
+            slug,
             userId:user.id,
+            hosts:{create:getEventHostIds(validatedData).map((userId) => ({userId}))},
         }
     })
 
     return event;
 }
 
+// Changes only apply to bookings made from now on. Existing bookings keep
+// their times, location, answers and reminders even when the duration
+// changes, and pending requests still wait for approval if confirmation is
+// turned off.
+export async function updateEvent(eventId,data) {
+    const {userId} = await auth();
+    if(!userId){
+        throw new Error("User not authenticated");
+    }
+
+    const validatedData = eventSchema.parse(data);
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+    })
+    if(!user){
+        throw new Error("User not found");
+    }
+
+    const event = await db.event.findFirst({
+        where:{id:eventId,deletedAt:null},
+    });
+
+    if(!event || event.userId !== user.id){
+        throw new Error("Event not found or you don't have permission to edit this event");
+    }
+
+    await assertTeamMember(user.id,validatedData);
+    const slug = await getEventSlug(user.id,validatedData,eventId);
+
+    const updatedEvent = await db.event.update({
+        where:{id:eventId},
+        data:{
+            ...toEventData(validatedData),
+            slug,
+            hosts:{
+                deleteMany:{},
+                create:getEventHostIds(validatedData).map((userId) => ({userId})),
+            },
+        },
+    });
+
+    return updatedEvent;
+}
+
+// Only members of a team can give it events, and a collective event's
+// hosts must all be in its team. Invites that haven't been accepted don't
+// count.
+async function assertTeamMember(userId,data){
+    if(data.kind === "ONE_ON_ONE"){
+        return;
+    }
+
+    const members = await db.teamMember.findMany({
+        where:{
+            teamId:data.teamId,
+            userId:{in:[userId,...getEventHostIds(data)]},
+            acceptedAt:{not:null},
+        },
+    });
+    const memberIds = new Set(members.map((member) => member.userId));
+
+    if(!memberIds.has(userId)){
+        throw new Error("You are not a member of this team");
+    }
+    if(getEventHostIds(data).some((hostId) => !memberIds.has(hostId))){
+        throw new Error("Every host must be a member of the team");
+    }
+}
+
+// Only collective events list their hosts.
+function getEventHostIds({kind,hostIds}){
+    return kind === "COLLECTIVE" ? [...new Set(hostIds)] : [];
+}
+
+// A slug the host picked must not be used by another of their events.
+// Without one, it's made from the title and numbered if needed.
+async function getEventSlug(userId,{slug,title},excludeEventId){
+    const otherEvents = {userId,...(excludeEventId && {id:{not:excludeEventId}})};
+
+    if(slug){
+        const existing = await db.event.findFirst({where:{...otherEvents,slug}});
+        if(existing){
+            throw new Error("Another of your events already uses this link");
+        }
+        return slug;
+    }
+
+    const base = slugify(title);
+    const taken = await db.event.findMany({
+        // Long slugs are shortened to make room for the number.
+        where:{...otherEvents,slug:{startsWith:base.slice(0,MAX_SLUG_LENGTH - 4)}},
+        select:{slug:true},
+    });
+    const takenSlugs = new Set(taken.map((event) => event.slug));
+
+    let candidate = base;
+    for(let n = 2; takenSlugs.has(candidate); n++){
+        candidate = `${base.slice(0,MAX_SLUG_LENGTH - String(n).length - 1)}-${n}`;
+    }
+    return candidate;
+}
+
+// Date range bounds are only kept for DATE_RANGE windows, the location
+// value only for location types that use one, and the team only for team
+// events. Hosts are saved separately.
+function toEventData({bookingWindowStart,bookingWindowEnd,locationValue,teamId,hostIds:_hostIds,...data}){
+    const isDateRange = data.bookingWindowType === "DATE_RANGE";
+    const hasLocationValue = !!LOCATION_TYPES[data.locationType].valueLabel;
+
+    return {
+        ...data,
+        bookingWindowStart:isDateRange ? new Date(`${bookingWindowStart}T00:00:00Z`) : null,
+        bookingWindowEnd:isDateRange ? new Date(`${bookingWindowEnd}T00:00:00Z`) : null,
+        locationValue:hasLocationValue ? locationValue.trim() : null,
+        teamId:data.kind === "ONE_ON_ONE" ? null : teamId,
+    };
+}
+
 export async function getUserEvents() {
     const {userId} = await auth();
     if(!userId){
@@ -49,12 +185,13 @@ export async function getUserEvents() {
     }
 
     const events = await db.event.findMany({
-        where:{userId:user.id},
+        where:{userId:user.id,deletedAt:null},
         orderBy:{createdAt:"desc"},
         include:{
             _count:{
-                select:{bookings:true},
-            }
+                select:{bookings:{where:{status:{in:ACTIVE_BOOKING_STATUSES}}}},
+            },
+            hosts:{select:{userId:true}},
         }
     });
 
@@ -75,144 +212,154 @@ export async function deleteEvent(eventId) {
         throw new Error("User not found");
     }
 
-    const event = await db.event.findUnique({
-        where:{id:eventId},
+    const event = await db.event.findFirst({
+        where:{id:eventId,deletedAt:null},
     });
 
     if(!event || event.userId !== user.id){
         throw new Error("Event not found or you don't have permission to delete this event");
     }
 
-    await db.event.delete({
+    // The event is only marked as deleted so past bookings keep their
+    // history; its upcoming bookings are cancelled and its slug is freed.
+    await db.event.update({
         where:{id:eventId},
+        data:{deletedAt:new Date(),slug:getDeletedEventSlug(event)},
+    });
+
+    const upcomingBookings = await db.booking.findMany({
+        where:{
+            eventId,
+            status:{in:CANCELLABLE_BOOKING_STATUSES},
+            startTime:{gte:new Date()},
+        },
+        include:{event:true,user:true},
+    });
+
+    await cancelBookings(upcomingBookings,{
+        cancelledBy:"HOST",
+        reason:"The event was deleted",
     });
 
    return {success:true};
 }
 
-export async function getEventDetails(username, eventId) {
-  const event = await db.event.findFirst({
-    where: {
-      id: eventId,
-      user: {
-        username: username,
+// Booking links use the event's slug; links from before slugs existed use
+// its id.
+export async function getEventDetails(username, eventSlug) {
+  const findEvent = (where) =>
+    db.event.findFirst({
+      where: {
+        ...where,
+        deletedAt: null,
+        user: {
+          username: username,
+        },
       },
-    },
-    include: {
-      user: {
-        select: {
-          name: true,
-          email: true,
-          image: true,
+      include: {
+        user: {
+          select: {
+            name: true,
+            image: true,
+          },
+        },
+        team: {
+          select: {
+            name: true,
+          },
+        },
+        _count: {
+          select: {
+            hosts: true,
+          },
         },
       },
-    },
-  });
+    });
 
-  return event;
+  const event = (await findEvent({ slug: eventSlug })) ?? (await findEvent({ id: eventSlug }));
+  if (!event) {
+    return null;
+  }
+
+  // This goes to anyone who opens the booking page, so it leaves out the
+  // location value (a fixed meeting link or phone number is only given with
+  // the booking) and the host's email.
+  return {
+    id: event.id,
+    title: event.title,
+    description: event.description,
+    duration: event.duration,
+    seats: event.seats,
+    kind: event.kind,
+    locationType: event.locationType,
+    questions: event.questions,
+    user: event.user,
+    team: event.team,
+    _count: event._count,
+  };
 }
 
 
-export async function getEventAvailability(eventId) {
-    console.log("Fetching availability for event ID:", eventId);
-    const event = await db.event.findUnique({
-        where: {id: eventId},
-        include:{
-            user:{
-                include:{
-                    availability:{
-                        select:{
-                            days:true,
-                            timeGap:true,
-                        }
-                    },
-                    bookings:{
-                        select:{
-                            startTime:true,
-                            endTime:true,
-                        }
-                    }
-                }
-            }
-        }
-    })
-
-    if(!event || !event.user.availability){
+// With a `rescheduleToken`, the booking being rescheduled doesn't block
+// the slots around it. Round-robin events are open whenever one of the
+// team's members is, collective events only when all their hosts are; a
+// rescheduled booking keeps its hosts.
+export async function getEventAvailability(eventId,{rescheduleToken} = {}) {
+    const rescheduling = rescheduleToken ? await getReschedulingBooking(eventId,rescheduleToken) : null;
+    const event = await db.event.findFirst({
+        where:{id:eventId,deletedAt:null},
+        include:{user:true},
+    });
+    if(!event){
         return [];
     }
 
-    const {availability,bookings} = event.user;
-
-    //complex logic ...
-    const startDtae = startOfDay(new Date());
-    const endDate = addDays(startDtae,30);
-
-    const availableDates = [];
-
-    for(let date = startDtae; date <= endDate; date = addDays(date,1)){
-        const dayOfWeek = format(date,"EEEE").toUpperCase();
-        const dayAvailability = availability.days.find((d) => d.day === dayOfWeek);
-
-        if(dayAvailability){
-            const dateStr = format(date,"yyyy-MM-dd");
-            const slots = genrateAvailableTimeSlots(
-                dayAvailability.startTime,
-                dayAvailability.endTime,
-                
-                event.duration,
-                dateStr,
-                bookings,
-                availability.timeGap,
-            )
-
-            availableDates.push({
-                date:dateStr,
-                slots,
-            })
-
-        }
+    const hostIds = rescheduling
+        ? [rescheduling.userId,...rescheduling.coHostIds]
+        : (await getEventHosts(event)).map((host) => host.id);
+    const datesPerHost = [];
+    for(const hostId of hostIds){
+        datesPerHost.push(await getHostAvailableDates(eventId,hostId,rescheduling));
     }
 
-    return availableDates;
+    if(event.kind === "COLLECTIVE"){
+        return intersectAvailableDates(datesPerHost);
+    }
+    return hostIds.length === 1 ? datesPerHost[0] : mergeAvailableDates(datesPerHost);
 }
 
+async function getHostAvailableDates(eventId,hostId,rescheduling){
+    const schedule = await getEventSchedule(eventId,db,{hostId,excludeBookingId:rescheduling?.id});
 
-
-function genrateAvailableTimeSlots(startTime,endTime,eventDuration,dateStr,bookings,timeGap = 0){
-    const slots = [];
-
-    let currentTime = parseISO(`${dateStr}T${startTime.toISOString().slice(11,16)}`); 
-    const slotEndTime = parseISO(`${dateStr}T${endTime.toISOString().slice(11,16)}`); 
-
-    const now = new Date();
-    if(format(now,"yyyy-MM-dd") === dateStr){
-        currentTime = isBefore(currentTime,now) ? addMinutes(now,timeGap) : currentTime;
-
+    if(!schedule || !schedule.availability){
+        return [];
     }
 
-    while(currentTime < slotEndTime){
-        const slotEnd = new Date(currentTime.getTime() + eventDuration * 60000);
+    const window = getBookingWindow(schedule.event,schedule.availability.timeZone);
+    if(!window){
+        return [];
+    }
 
-        const isSlotAvailable = !bookings.some(booking =>{
-            const bookingStartTime = booking.startTime;
-            const bookingEndTime = booking.endTime;
-            //Explain this logic.
-            return(
-                (currentTime >= bookingStartTime
-                    && currentTime < bookingEndTime
-                )||
-                (slotEnd > bookingStartTime && slotEnd <= bookingEndTime)||
-                (currentTime <= bookingStartTime && slotEnd >= bookingEndTime)
-            )
-        })
+    // Meetings in the host's own calendar block slots just like bookings.
+    const calendarBusyTimes = await getCalendarBusyTimes(
+        schedule.host,
+        new Date(),
+        addDays(window.lastDay,1),
+    );
 
-        if(isSlotAvailable){
-            slots.push(format(currentTime,"HH:mm"));
-        }
+    return getAvailableDates({
+        ...schedule,
+        bookings:[...schedule.bookings,...withoutBookingBusyTime(calendarBusyTimes,rescheduling)],
+    });
+}
 
-        currentTime = slotEnd;
+async function getReschedulingBooking(eventId,token){
+    const bookingId = getBookingIdFromManageToken(token);
+    if(!bookingId){
+        return null;
     }
 
-    return slots;
-
+    return db.booking.findFirst({
+        where:{id:bookingId,eventId,status:{in:ACTIVE_BOOKING_STATUSES}},
+    });
 }
\ No newline at end of file
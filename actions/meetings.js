@@ -1,8 +1,47 @@
 "use server";
 
 import { db } from "@/lib/prisma";
-import { auth, clerkClient } from "@clerk/nextjs/server";
-import { google } from "googleapis";
+import { auth } from "@clerk/nextjs/server";
+import { cancellationSchema } from "@/app/lib/validators";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  PAST_BOOKING_STATUSES,
+  cancelBookings,
+  addBookingToCalendar,
+  expirePendingBookings,
+  scheduleBookingReminders,
+} from "@/lib/bookings";
+import { getCalendarProvider } from "@/lib/calendar";
+import { triggerWebhooks } from "@/lib/webhooks";
+import { resolveMeetingLocation } from "@/lib/conferencing";
+import {
+  notifyBookingConfirmed,
+  notifyBookingDeclined,
+} from "@/lib/notifications";
+
+// Which bookings each tab on /meetings lists. Cancelled meetings are listed
+// whenever they were scheduled for; rescheduled ones are replaced by their
+// new booking.
+function getMeetingsFilter(type, now) {
+  switch (type) {
+    case "pending":
+      return { status: "PENDING", startTime: { gte: now } };
+    case "upcoming":
+      return {
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        startTime: { gte: now },
+      };
+    case "past":
+      return {
+        status: { in: [...ACTIVE_BOOKING_STATUSES, ...PAST_BOOKING_STATUSES] },
+        startTime: { lt: now },
+      };
+    case "cancelled":
+      return { status: "CANCELLED" };
+    default:
+      throw new Error("Invalid meeting type");
+  }
+}
 
 export async function getUserMeetings(type = "upcoming") {
   const { userId } = await auth();
@@ -18,12 +57,16 @@ export async function getUserMeetings(type = "upcoming") {
     throw new Error("User not found");
   }
 
+  // Requests nobody answered in time shouldn't linger in the pending tab.
+  await expirePendingBookings({ userId: user.id });
+
   const now = new Date();
 
+  // Collective events' meetings show up for every host.
   const meetings = await db.booking.findMany({
     where: {
-      userId: user.id,
-      startTime: type === "upcoming" ? { gte: now } : { lt: now }, //gte = greater than or equal to, lt = less than
+      OR: [{ userId: user.id }, { coHostIds: { has: user.id } }],
+      ...getMeetingsFilter(type, now),
     },
     include: {
       event: {
@@ -38,14 +81,20 @@ export async function getUserMeetings(type = "upcoming") {
       },
     },
     orderBy: {
-      startTime: type === "upcoming" ? "asc" : "desc",
+      startTime: ["upcoming", "pending"].includes(type) ? "asc" : "desc",
     },
   });
 
   return meetings;
 }
 
-export async function cancelMeeting(meetingId) {
+// Every host of a collective event's meeting can cancel it, and answer it
+// while it's a request.
+function isMeetingHost(meeting, user) {
+  return meeting?.userId === user.id || meeting?.coHostIds.includes(user.id);
+}
+
+export async function cancelMeeting(meetingId, data) {
   const { userId } = await auth();
   if (!userId) {
     throw new Error("Unauthorized");
@@ -64,36 +113,209 @@ export async function cancelMeeting(meetingId) {
     include: { event: true, user: true },
   });
 
+  if (!isMeetingHost(meeting, user)) {
+    throw new Error("Meeting not found or unauthorized");
+  }
+
+  if (!ACTIVE_BOOKING_STATUSES.includes(meeting.status)) {
+    throw new Error("This meeting has already been cancelled");
+  }
+
+  // The booking is kept, marked as cancelled, so its slot frees up but the
+  // history stays.
+  const { reason } = cancellationSchema.parse(data ?? {});
+
+  await cancelBookings([meeting], { cancelledBy: "HOST", reason });
+
+  return { success: true };
+}
+
+export async function updateMeetingStatus(meetingId, status) {
+  const { userId } = await auth();
+  if (!userId) {
+    throw new Error("Unauthorized");
+  }
+
+  if (!PAST_BOOKING_STATUSES.includes(status)) {
+    throw new Error("Invalid meeting status");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const meeting = await db.booking.findUnique({
+    where: { id: meetingId },
+  });
+
   if (!meeting || meeting.userId !== user.id) {
     throw new Error("Meeting not found or unauthorized");
   }
 
-  // Cancel the meeting in Google Calendar
-  const { data } = await clerkClient.users.getUserOauthAccessToken(
-    meeting.user.clerkUserId,
-    "google"
-  );
+  const canUpdate = [
+    ...ACTIVE_BOOKING_STATUSES,
+    ...PAST_BOOKING_STATUSES,
+  ].includes(meeting.status);
+
+  if (!canUpdate || meeting.startTime > new Date()) {
+    throw new Error("Only past meetings can be marked as completed or no-show");
+  }
+
+  await db.booking.update({
+    where: { id: meetingId },
+    data: { status, statusChangedAt: new Date() },
+  });
+
+  return { success: true };
+}
+
+// Confirms a pending request: the meeting goes into the host's calendar and
+// the invitee and hosts are emailed.
+export async function approveMeeting(meetingId) {
+  const { userId } = await auth();
+  if (!userId) {
+    throw new Error("Unauthorized");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const meeting = await db.booking.findUnique({
+    where: { id: meetingId },
+    include: { event: true, user: true },
+  });
+
+  if (!isMeetingHost(meeting, user)) {
+    throw new Error("Meeting not found or unauthorized");
+  }
+
+  if (meeting.status !== "PENDING") {
+    throw new Error("This request has already been answered");
+  }
 
-  const token = data[0]?.token;
+  if (meeting.expiresAt <= new Date()) {
+    await expirePendingBookings({ id: meeting.id });
+    throw new Error("This request has expired");
+  }
 
-  const oauth2Client = new google.auth.OAuth2();
-  oauth2Client.setCredentials({ access_token: token });
+  // Claim the request first so approving twice can't create two calendar
+  // events.
+  const { count } = await db.booking.updateMany({
+    where: { id: meeting.id, status: "PENDING" },
+    data: { status: "CONFIRMED", statusChangedAt: new Date(), expiresAt: null },
+  });
+  if (count === 0) {
+    throw new Error("This request has already been answered");
+  }
+
+  // The meeting goes into its host's calendar, whoever approves it.
+  const calendar = await getCalendarProvider(meeting.user);
+  const coHosts = await db.user.findMany({
+    where: { id: { in: meeting.coHostIds } },
+  });
 
-  const calendar = google.calendar({ version: "v3", auth: oauth2Client });
+  // Google Meet links can only be made now that the calendar event is.
+  const { requestConference, ...location } =
+    meeting.locationType === "GOOGLE_MEET"
+      ? resolveMeetingLocation({
+          event: { ...meeting.event, locationType: "GOOGLE_MEET" },
+          bookingId: meeting.id,
+          calendar,
+        })
+      : {
+          requestConference: false,
+          locationType: meeting.locationType,
+          location: meeting.location,
+          meetLink: meeting.meetLink,
+        };
 
+  let calendarFields;
   try {
-    await calendar.events.delete({
-      calendarId: "primary",
-      eventId: meeting.googleEventId,
-    });
+    calendarFields = await addBookingToCalendar(
+      { ...meeting, ...location },
+      meeting.event,
+      meeting.user,
+      { calendar, requestConference, coHosts }
+    );
   } catch (error) {
-    console.error("Failed to delete event from Google Calendar:", error);
+    console.error("Failed to create calendar event:", error);
+    await db.booking.update({
+      where: { id: meeting.id },
+      data: { status: "PENDING", expiresAt: meeting.expiresAt },
+    });
+    throw new Error(
+      "Could not add the meeting to your calendar. Please try again."
+    );
+  }
+
+  const approved = await db.booking.update({
+    where: { id: meeting.id },
+    data: {
+      ...location,
+      ...calendarFields,
+    },
+    include: { event: true, user: true },
+  });
+
+  await scheduleBookingReminders(approved, approved.event);
+  await notifyBookingConfirmed(approved);
+  await triggerWebhooks("booking.confirmed", approved);
+
+  return { success: true };
+}
+
+export async function declineMeeting(meetingId, data) {
+  const { userId } = await auth();
+  if (!userId) {
+    throw new Error("Unauthorized");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
   }
 
-  // Delete the meeting from the database
-  await db.booking.delete({
+  const meeting = await db.booking.findUnique({
     where: { id: meetingId },
   });
 
+  if (!isMeetingHost(meeting, user)) {
+    throw new Error("Meeting not found or unauthorized");
+  }
+
+  const { reason } = cancellationSchema.parse(data ?? {});
+
+  const { count } = await db.booking.updateMany({
+    where: { id: meeting.id, status: "PENDING" },
+    data: {
+      status: "DECLINED",
+      statusChangedAt: new Date(),
+      cancellationReason: reason || null,
+    },
+  });
+  if (count === 0) {
+    throw new Error("This request has already been answered");
+  }
+
+  const declined = await db.booking.findUnique({
+    where: { id: meeting.id },
+    include: { event: true, user: true },
+  });
+
+  await notifyBookingDeclined(declined);
+  await triggerWebhooks("booking.declined", declined);
+
   return { success: true };
-}
\ No newline at end of file
+}
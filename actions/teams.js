@@ -0,0 +1,201 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import {
+  teamMemberSchema,
+  teamMemberWeightSchema,
+  teamSchema,
+} from "@/app/lib/validators";
+
+// Teams the signed-in user belongs to or is invited to, with the user's own
+// role in each and `membershipId`/`acceptedAt` of their membership. Members
+// (invited ones included) are only listed once the user has accepted.
+export async function getUserTeams() {
+  const user = await getCurrentUser();
+
+  const memberships = await db.teamMember.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "asc" },
+    include: {
+      team: {
+        include: {
+          members: {
+            orderBy: { createdAt: "asc" },
+            include: {
+              user: {
+                select: { id: true, name: true, username: true, image: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  return memberships.map(({ id, team, role, acceptedAt }) => ({
+    ...team,
+    members: acceptedAt ? team.members : [],
+    role,
+    membershipId: id,
+    acceptedAt,
+  }));
+}
+
+// The creator becomes the team's owner.
+export async function createTeam(data) {
+  const user = await getCurrentUser();
+  const { name } = teamSchema.parse(data);
+
+  const team = await db.team.create({
+    data: {
+      name,
+      members: {
+        create: { userId: user.id, role: "OWNER", acceptedAt: new Date() },
+      },
+    },
+  });
+
+  return team;
+}
+
+// Invites a user. They only join, and start hosting the team's events, once
+// they accept; until then they can decline by leaving.
+export async function addTeamMember(teamId, data) {
+  const user = await getCurrentUser();
+  await assertTeamOwner(teamId, user.id);
+
+  const { username } = teamMemberSchema.parse(data);
+  const member = await db.user.findUnique({ where: { username } });
+
+  if (!member) {
+    throw new Error("No user with this username");
+  }
+
+  const existing = await db.teamMember.findUnique({
+    where: { teamId_userId: { teamId, userId: member.id } },
+  });
+  if (existing) {
+    throw new Error("This user is already in the team or invited");
+  }
+
+  await db.teamMember.create({
+    data: { teamId, userId: member.id },
+  });
+
+  return { success: true };
+}
+
+export async function acceptTeamInvite(teamId) {
+  const user = await getCurrentUser();
+
+  const { count } = await db.teamMember.updateMany({
+    where: { teamId, userId: user.id, acceptedAt: null },
+    data: { acceptedAt: new Date() },
+  });
+  if (count === 0) {
+    throw new Error("Invite not found");
+  }
+
+  return { success: true };
+}
+
+export async function updateTeamMemberWeight(teamId, memberId, data) {
+  const user = await getCurrentUser();
+  await assertTeamOwner(teamId, user.id);
+
+  const { weight } = teamMemberWeightSchema.parse(data);
+
+  const { count } = await db.teamMember.updateMany({
+    where: { id: memberId, teamId },
+    data: { weight },
+  });
+  if (count === 0) {
+    throw new Error("Team member not found");
+  }
+
+  return { success: true };
+}
+
+// Owners can remove anyone but the last owner; members can leave (or
+// decline an invite). The member stops hosting the team's collective
+// events; bookings already assigned to them stay theirs.
+export async function removeTeamMember(teamId, memberId) {
+  const user = await getCurrentUser();
+
+  const member = await db.teamMember.findFirst({
+    where: { id: memberId, teamId },
+  });
+  if (!member) {
+    throw new Error("Team member not found");
+  }
+
+  if (member.userId !== user.id) {
+    await assertTeamOwner(teamId, user.id);
+  }
+
+  if (member.role === "OWNER") {
+    const owners = await db.teamMember.count({
+      where: { teamId, role: "OWNER" },
+    });
+    if (owners === 1) {
+      throw new Error("A team needs at least one owner");
+    }
+  }
+
+  // Collective events need two hosts; the member can't take the second-last
+  // one away.
+  const hostedEvents = await db.event.findMany({
+    where: {
+      teamId,
+      kind: "COLLECTIVE",
+      deletedAt: null,
+      hosts: { some: { userId: member.userId } },
+    },
+    select: { title: true, _count: { select: { hosts: true } } },
+  });
+  const titles = hostedEvents
+    .filter((event) => event._count.hosts <= 2)
+    .map((event) => event.title);
+  if (titles.length > 0) {
+    throw new Error(
+      `Give these collective events another host first: ${titles.join(", ")}`
+    );
+  }
+
+  await db.$transaction([
+    db.eventHost.deleteMany({
+      where: { userId: member.userId, event: { teamId } },
+    }),
+    db.teamMember.delete({ where: { id: member.id } }),
+  ]);
+
+  return { success: true };
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) {
+    throw new Error("Unauthorized");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return user;
+}
+
+async function assertTeamOwner(teamId, userId) {
+  const membership = await db.teamMember.findUnique({
+    where: { teamId_userId: { teamId, userId } },
+  });
+
+  if (membership?.role !== "OWNER" || !membership.acceptedAt) {
+    throw new Error("Team not found or unauthorized");
+  }
+}
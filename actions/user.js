@@ -2,33 +2,119 @@
 
 import { db } from "@/lib/prisma";
 import { auth, clerkClient } from "@clerk/nextjs/server"
+import { ACTIVE_BOOKING_STATUSES } from "@/lib/bookings";
+import { userSchema } from "@/app/lib/validators";
+import { createCalendarFeedToken, getCalendarFeedPath } from "@/lib/calendar-feed";
 // import { success } from "zod";
 
+// The old username is kept in the user's history so links shared with it
+// keep working. Names in someone else's history stay reserved for them;
+// users can take back their own old names.
 export async function updateUsername(username){
     const {userId} = await auth();
-    console.log("UserID from action", userId);
     if(!userId) throw new Error("User not authenticated");
 
-    const existingUsername = await db.user.findUnique({
-        where:{username}
+    userSchema.parse({username});
+
+    const client = await clerkClient(); // ← ADD AWAIT HERE TOO
+
+    // The database changes commit first, in a short transaction; Clerk is
+    // only called after that, so no connection or lock is held on it.
+    const change = await db.$transaction(async (tx) => {
+        const user = await tx.user.findUnique({
+            where:{clerkUserId: userId}
+        });
+        if(!user) throw new Error("User not found");
+        if(user.username === username) return null;
+
+        const existingUsername = await tx.user.findUnique({
+            where:{username}
+        });
+        const retiredUsername = await tx.usernameHistory.findUnique({
+            where:{username}
+        });
+        if(existingUsername || (retiredUsername && retiredUsername.userId !== user.id)){
+            throw new Error("Username already taken");
+        }
+
+        await tx.usernameHistory.deleteMany({where:{username,userId:user.id}});
+        await tx.usernameHistory.create({
+            data:{userId:user.id,username:user.username}
+        });
+        await tx.user.update({
+            where:{id:user.id},
+            data:{username}
+        })
+
+        return {user,reclaimed:!!retiredUsername};
     });
 
-    if(existingUsername && existingUsername.id !== userId){
-        throw new Error("Username already taken");
+    if(!change){
+        return {success: true};
+    }
+
+    try {
+        await client.users.updateUser(userId,{
+            username
+        })
+    } catch (error) {
+        // Clerk refused the name (or couldn't be reached), so the database
+        // goes back to the old one.
+        const {user,reclaimed} = change;
+        await db.$transaction([
+            db.user.update({where:{id:user.id},data:{username:user.username}}),
+            db.usernameHistory.deleteMany({where:{username:user.username,userId:user.id}}),
+            ...(reclaimed ? [db.usernameHistory.create({data:{userId:user.id,username}})] : []),
+        ]).catch((dbError) => {
+            console.error("Failed to restore username:", dbError);
+        });
+        throw error;
     }
 
+    return {success: true};
+
+}
+
+// Path of the signed-in user's bookings feed, or null before they make one.
+export async function getCalendarFeedUrl(){
+    const user = await getCurrentUser();
+
+    return user.calendarFeedToken ? getCalendarFeedPath(user.calendarFeedToken) : null;
+}
+
+// Makes the user's feed URL, or replaces it: the old URL stops working.
+export async function regenerateCalendarFeedUrl(){
+    const user = await getCurrentUser();
+    const token = createCalendarFeedToken();
+
     await db.user.update({
-        where:{clerkUserId: userId},
-        data:{username}
-    })
+        where:{id:user.id},
+        data:{calendarFeedToken:token},
+    });
 
-    const client = await clerkClient(); // ← ADD AWAIT HERE TOO
-    await client.users.updateUser(userId,{
-        username
-    })
+    return getCalendarFeedPath(token);
+}
 
-    return {success: true};
+async function getCurrentUser(){
+    const {userId} = await auth();
+    if(!userId) throw new Error("User not authenticated");
+
+    const user = await db.user.findUnique({
+        where:{clerkUserId:userId},
+    });
+    if(!user) throw new Error("User not found");
+
+    return user;
+}
+
+// The current username of whoever used to go by `username`, or null.
+export async function getRenamedUsername(username) {
+  const history = await db.usernameHistory.findUnique({
+    where: { username },
+    select: { user: { select: { username: true } } },
+  });
 
+  return history?.user.username ?? null;
 }
 
 export async function getUserByUsername(username) {
@@ -42,6 +128,7 @@ export async function getUserByUsername(username) {
       events: {
         where: {
           isPrivate: false,
+          deletedAt: null,
         },
         orderBy: {
           createdAt: "desc",
@@ -49,11 +136,14 @@ export async function getUserByUsername(username) {
         select: {
           id: true,
           title: true,
+          slug: true,
           description: true,
           duration: true,
           isPrivate: true,
           _count: {
-            select: { bookings: true },
+            select: {
+              bookings: { where: { status: { in: ACTIVE_BOOKING_STATUSES } } },
+            },
           },
         },
       },
@@ -0,0 +1,123 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { webhookSchema } from "@/app/lib/validators";
+import { decryptSecret } from "@/lib/secrets";
+import { createWebhookSecret, enqueueDeliveries } from "@/lib/webhooks";
+import { assertPublicUrl } from "@/lib/public-url";
+
+// How many of each webhook's latest deliveries the dashboard shows.
+const DELIVERY_LOG_SIZE = 20;
+
+// The signed-in user's webhooks, with their signing secrets and latest
+// deliveries.
+export async function getUserWebhooks() {
+  const user = await getCurrentUser();
+
+  const webhooks = await db.webhook.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "desc" },
+    include: {
+      event: { select: { title: true } },
+      deliveries: {
+        orderBy: { createdAt: "desc" },
+        take: DELIVERY_LOG_SIZE,
+        select: {
+          id: true,
+          trigger: true,
+          status: true,
+          attempts: true,
+          responseStatus: true,
+          error: true,
+          createdAt: true,
+        },
+      },
+    },
+  });
+
+  return webhooks.map((webhook) => ({
+    ...webhook,
+    secret: decryptSecret(webhook.secret),
+  }));
+}
+
+export async function createWebhook(data) {
+  const user = await getCurrentUser();
+  const { url, eventId, triggers } = webhookSchema.parse(data);
+  await assertPublicUrl(url);
+
+  if (eventId) {
+    const event = await db.event.findFirst({
+      where: { id: eventId, userId: user.id, deletedAt: null },
+    });
+    if (!event) {
+      throw new Error("Event not found");
+    }
+  }
+
+  await db.webhook.create({
+    data: {
+      userId: user.id,
+      eventId: eventId || null,
+      url,
+      secret: createWebhookSecret(),
+      triggers,
+    },
+  });
+
+  return { success: true };
+}
+
+// Its delivery log goes with it.
+export async function deleteWebhook(webhookId) {
+  const user = await getCurrentUser();
+
+  const { count } = await db.webhook.deleteMany({
+    where: { id: webhookId, userId: user.id },
+  });
+  if (count === 0) {
+    throw new Error("Webhook not found");
+  }
+
+  return { success: true };
+}
+
+// Sends a delivery again, with the same payload. Deliveries still being
+// retried don't need it.
+export async function redeliverWebhook(deliveryId) {
+  const user = await getCurrentUser();
+
+  const { count } = await db.webhookDelivery.updateMany({
+    where: {
+      id: deliveryId,
+      webhook: { userId: user.id },
+      status: { not: "PENDING" },
+    },
+    data: { status: "PENDING" },
+  });
+  if (count === 0) {
+    throw new Error("This delivery can't be sent again right now");
+  }
+
+  await enqueueDeliveries([deliveryId]);
+
+  return { success: true };
+}
+
+async function getCurrentUser() {
+  const { userId } = await auth();
+  if (!userId) {
+    throw new Error("Unauthorized");
+  }
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return user;
+}
@@ -1,7 +1,7 @@
 "use client"
 import { availabilitySchema } from '@/app/lib/validators'
-import React from 'react'
-import { Controller, useForm } from 'react-hook-form'
+import React, { useEffect, useMemo } from 'react'
+import { Controller, useFieldArray, useForm, useWatch } from 'react-hook-form'
 import { zodResolver } from '@hookform/resolvers/zod'
 import { Checkbox } from '@/components/ui/checkbox'
 import { timeSlots } from '../data'
@@ -14,8 +14,87 @@ import {
 } from "@/components/ui/select"
 import { Input } from '@/components/ui/input'
 import { Button } from '@/components/ui/button'
+import { Plus, X } from 'lucide-react'
 import useFetch from '@/hooks/use-fetch'
 import { updateUserAvailability } from '@/actions/availability'
+import { detectTimeZone, getSupportedTimeZones } from '@/lib/time-zone'
+
+const TimeSelect = ({name,control,placeholder}) => (
+    <Controller
+        name={name}
+        control={control}
+        render={({field})=>{
+            return(
+                <Select onValueChange={field.onChange}
+                value={field.value}
+                >
+                    <SelectTrigger className="w-32 border-2 border-blue-600 bg-white text-blue-900 placeholder-blue-400 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm">
+                        <SelectValue placeholder={placeholder} />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {timeSlots.map((time) => {
+                            return <SelectItem key={time} value={time}>{time}</SelectItem>
+                        })}
+                    </SelectContent>
+                </Select>
+            )
+        }}
+    />
+)
+
+// All time ranges of one weekday, e.g. 09:00-12:00 and 14:00-18:00.
+const DayRanges = ({day,control,errors}) => {
+    const {fields,append,remove} = useFieldArray({
+        control,
+        name:`${day}.ranges`,
+    });
+
+    const ranges = useWatch({control,name:`${day}.ranges`});
+
+    // New ranges start an hour after the last one and last two hours.
+    const addRange = () => {
+        const lastEnd = timeSlots.indexOf(ranges?.at(-1)?.endTime);
+        const startIndex = lastEnd + 2;
+        const endIndex = Math.min(startIndex + 4,timeSlots.length - 1);
+
+        append(
+            lastEnd !== -1 && startIndex < endIndex
+                ? {startTime:timeSlots[startIndex],endTime:timeSlots[endIndex]}
+                : {startTime:"09:00",endTime:"17:00"}
+        );
+    }
+
+    return (
+        <div className='flex flex-col gap-2'>
+            {fields.map((field,index) => (
+                <div key={field.id} className='flex items-center space-x-4'>
+                    <TimeSelect name={`${day}.ranges.${index}.startTime`} control={control} placeholder="Start Time" />
+                    <span>to</span>
+                    <TimeSelect name={`${day}.ranges.${index}.endTime`} control={control} placeholder="End Time" />
+
+                    {fields.length > 1 && (
+                        <Button type="button" variant="ghost" size="icon" onClick={() => remove(index)}>
+                            <X className='h-4 w-4' />
+                        </Button>
+                    )}
+                    {index === fields.length - 1 && (
+                        <Button type="button" variant="ghost" size="icon" onClick={addRange}>
+                            <Plus className='h-4 w-4' />
+                        </Button>
+                    )}
+
+                    {errors?.ranges?.[index]?.endTime && (
+                        <p className='text-sm text-red-500'>{errors.ranges[index].endTime.message}</p>
+                    )}
+                </div>
+            ))}
+
+            {(errors?.ranges?.root || errors?.ranges?.message) && (
+                <p className='text-sm text-red-500'>{errors.ranges.root?.message ?? errors.ranges.message}</p>
+            )}
+        </div>
+    )
+}
 
 const AvailabilityForm = ({initialData}) => {
     // console.log("Initial Data:", initialData);
@@ -25,6 +104,15 @@ const AvailabilityForm = ({initialData}) => {
         mode:"onChange", // or "onBlur"
     });
 
+    // A host without saved availability starts out in their browser's zone.
+    useEffect(() => {
+        if(!initialData.timeZone){
+            setValue("timeZone",detectTimeZone());
+        }
+    },[initialData.timeZone,setValue]);
+
+    const timeZones = useMemo(() => getSupportedTimeZones(),[]);
+
     const {loading,error,fn:fnUpdateAvailability} = useFetch(updateUserAvailability);
 
     const onSubmit = async(data) => {
@@ -33,6 +121,31 @@ const AvailabilityForm = ({initialData}) => {
     }
   return (
     <form action="" className='mt-8' onSubmit={handleSubmit(onSubmit)}>
+        <div className='flex items-center space-x-4 mb-6'>
+            <span>Time zone :</span>
+            <Controller
+                name="timeZone"
+                control={control}
+                render={({field})=>(
+                    <Select onValueChange={field.onChange}
+                    value={field.value}
+                    >
+                        <SelectTrigger className="w-64 border-2 border-blue-600 bg-white text-blue-900 placeholder-blue-400 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm">
+                            <SelectValue placeholder="Time Zone" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {timeZones.map((zone) => {
+                                return <SelectItem key={zone} value={zone}>{zone}</SelectItem>
+                            })}
+                        </SelectContent>
+                    </Select>
+                )}
+            />
+            {errors.timeZone && (
+                <p className='text-sm text-red-500'>{errors.timeZone?.message}</p>
+            )}
+        </div>
+
         {[
             "monday",
             "tuesday",
@@ -44,76 +157,30 @@ const AvailabilityForm = ({initialData}) => {
         ].map((day) =>{
             const isAvailable = watch(`${day}.isAvailable`);
             return (
-                <div key={day} className='flex items-center space-x-4 mb-4'>
-                    <Controller
-                    name={`${day}.isAvailable`}
-                    control={control}
-                    render={({field})=>(
-                         <Checkbox  checked ={field.value}
-                         className="border-black bg-white text-black focus:ring-2 focus:ring-black"
-                         onCheckedChange = {(checked) => {
-                            setValue(`${day}.isAvailable`,checked)
-                            if(!checked){
-                                setValue(`${day}.startTime`,"09:00")
-                                setValue(`${day}.endTime`,"17:00")
-                            }
-                         }}/>
-                    )}
-                    />
-                   
-                    <span className='w-24'>
-                        {day.charAt(0).toUpperCase() + day.slice(1)}
-                    </span>
+                <div key={day} className='flex items-start space-x-4 mb-4'>
+                    <div className='flex items-center space-x-4 h-9'>
+                        <Controller
+                        name={`${day}.isAvailable`}
+                        control={control}
+                        render={({field})=>(
+                             <Checkbox  checked ={field.value}
+                             className="border-black bg-white text-black focus:ring-2 focus:ring-black"
+                             onCheckedChange = {(checked) => {
+                                setValue(`${day}.isAvailable`,checked)
+                                if(!checked){
+                                    setValue(`${day}.ranges`,[{startTime:"09:00",endTime:"17:00"}])
+                                }
+                             }}/>
+                        )}
+                        />
+
+                        <span className='w-24'>
+                            {day.charAt(0).toUpperCase() + day.slice(1)}
+                        </span>
+                    </div>
 
                     {isAvailable && (
-                        <>
-                           <Controller
-                                name={`${day}.startTime`}
-                                control={control}
-                                render={({field})=>{
-                                    return(
-                                        <Select onValueChange={field.onChange}
-                                        value={field.value}
-                                        >
-                                            <SelectTrigger className="w-32 border-2 border-blue-600 bg-white text-blue-900 placeholder-blue-400 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm">
-                                                <SelectValue placeholder="Start Time" />
-                                            </SelectTrigger>
-                                            <SelectContent>
-                                                {timeSlots.map((time) => {
-                                                    return <SelectItem key={time} value={time}>{time}</SelectItem>
-                                                })}
-                                            </SelectContent>
-                                        </Select>
-                                    )
-                                }}
-                            />
-
-                            <span>to</span>
-                            <Controller
-                                name={`${day}.endTime`}
-                                control={control}
-                                render={({field})=>{
-                                    return(
-                                        <Select onValueChange={field.onChange}
-                                        value={field.value}>
-                                            <SelectTrigger className="w-32 border-2 border-blue-600 bg-white text-blue-900 placeholder-blue-400 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm">
-                                                <SelectValue placeholder="End Time" />
-                                            </SelectTrigger>
-                                            <SelectContent>
-                                                {timeSlots.map((time) => {
-                                                    return <SelectItem key={time} value={time}>{time}</SelectItem>
-                                                })}
-                                            </SelectContent>
-                                        </Select>
-                                    )
-                                }}
-                            />
-
-                            {errors[day]?.endTime && (
-                                <p className='text-sm text-red-500'>{errors[day]?.endTime?.message}</p>
-                            )}
-
-                        </>
+                        <DayRanges day={day} control={control} errors={errors[day]} />
                     )}
                 </div>
             )
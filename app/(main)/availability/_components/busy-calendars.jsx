@@ -0,0 +1,62 @@
+"use client"
+import React, { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { Checkbox } from '@/components/ui/checkbox'
+import { Button } from '@/components/ui/button'
+import useFetch from '@/hooks/use-fetch'
+import { updateBusyCalendars } from '@/actions/availability'
+
+const BusyCalendars = ({connected,calendars}) => {
+    const router = useRouter();
+    const [selected,setSelected] = useState(
+        calendars.filter((calendar) => calendar.selected).map((calendar) => calendar.id)
+    );
+
+    const {loading,error,fn:fnUpdateBusyCalendars} = useFetch(updateBusyCalendars);
+
+    const toggle = (calendarId,checked) => {
+        setSelected((current) => checked
+            ? [...current,calendarId]
+            : current.filter((id) => id !== calendarId));
+    }
+
+    const onSave = async() => {
+        await fnUpdateBusyCalendars(selected);
+        router.refresh();
+    }
+
+  return (
+    <div className='mt-8'>
+        <h3 className='text-xl font-semibold mb-2'>Check for conflicts</h3>
+        {!connected ? (
+            <p className='text-sm text-gray-600'>
+                Sign in with Google to block out times that are busy in your Google Calendar.
+            </p>
+        ) : (
+            <>
+                <p className='text-sm text-gray-600 mb-4'>
+                    Events in the selected calendars are removed from your available times. If none are selected, your primary calendar is used.
+                </p>
+                <div className='space-y-2 mb-4'>
+                    {calendars.map((calendar) => (
+                        <label key={calendar.id} className='flex items-center gap-2'>
+                            <Checkbox checked={selected.includes(calendar.id)}
+                            className="border-black bg-white text-black focus:ring-2 focus:ring-black"
+                            onCheckedChange={(checked) => toggle(calendar.id,!!checked)}/>
+                            <span>{calendar.name}{calendar.primary && " (primary)"}</span>
+                        </label>
+                    ))}
+                </div>
+                {error && (
+                    <p className='text-sm text-red-500'>{error?.message}</p>
+                )}
+                <Button onClick={onSave} disabled={loading}>
+                    {loading ? "Saving..." : "Save Calendars"}
+                </Button>
+            </>
+        )}
+    </div>
+  )
+}
+
+export default BusyCalendars
@@ -0,0 +1,94 @@
+"use client"
+import { calDavConnectionSchema } from '@/app/lib/validators'
+import React from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useRouter } from 'next/navigation'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import useFetch from '@/hooks/use-fetch'
+import { connectCalDav, disconnectCalDav } from '@/actions/availability'
+
+const CalendarConnection = ({connection}) => {
+    const router = useRouter();
+    const {register,handleSubmit,reset,formState:{errors}} = useForm({
+        resolver: zodResolver(calDavConnectionSchema),
+        defaultValues:{
+            serverUrl:"",
+            username:"",
+            password:"",
+        },
+    });
+
+    const {loading,error,fn:fnConnectCalDav} = useFetch(connectCalDav);
+    const {loading:disconnecting,fn:fnDisconnectCalDav} = useFetch(disconnectCalDav);
+
+    const onSubmit = async(data) => {
+        await fnConnectCalDav(data);
+        reset();
+        router.refresh();
+    }
+
+    const handleDisconnect = async() => {
+        await fnDisconnectCalDav();
+        router.refresh();
+    }
+
+  return (
+    <div className='mt-8'>
+        <h3 className='text-xl font-semibold mb-2'>CalDAV calendar</h3>
+        {connection ? (
+            <div className='flex flex-wrap items-center justify-between gap-4'>
+                <p className='text-sm text-gray-600'>
+                    Bookings are added to <span className='font-medium'>{connection.serverUrl}</span> as {connection.username}.
+                </p>
+                <Button variant="destructive" onClick={handleDisconnect} disabled={disconnecting}>
+                    {disconnecting ? "Disconnecting..." : "Disconnect"}
+                </Button>
+            </div>
+        ) : (
+            <>
+                <p className='text-sm text-gray-600 mb-4'>
+                    Connect a CalDAV calendar (Nextcloud, Fastmail, iCloud, ...) to add bookings to it and block out its busy times. It is used instead of Google Calendar.
+                </p>
+                <form action="" className='space-y-4' onSubmit={handleSubmit(onSubmit)}>
+                    <div>
+                        <Input placeholder="https://cloud.example.com/remote.php/dav/calendars/me/personal/"
+                        {...register("serverUrl")}
+                        className="border-2 border-blue-600 bg-white text-blue-900 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm"/>
+                        {errors.serverUrl && (
+                            <p className='text-sm text-red-500 mt-1'>{errors.serverUrl.message}</p>
+                        )}
+                    </div>
+                    <div className='flex flex-wrap gap-4'>
+                        <div>
+                            <Input placeholder="Username" autoComplete="off"
+                            {...register("username")}
+                            className="w-56 border-2 border-blue-600 bg-white text-blue-900 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm"/>
+                            {errors.username && (
+                                <p className='text-sm text-red-500 mt-1'>{errors.username.message}</p>
+                            )}
+                        </div>
+                        <div>
+                            <Input type="password" placeholder="App password" autoComplete="new-password"
+                            {...register("password")}
+                            className="w-56 border-2 border-blue-600 bg-white text-blue-900 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm"/>
+                            {errors.password && (
+                                <p className='text-sm text-red-500 mt-1'>{errors.password.message}</p>
+                            )}
+                        </div>
+                    </div>
+                    {error && (
+                        <p className='text-sm text-red-500'>{error?.message}</p>
+                    )}
+                    <Button type="submit" disabled={loading}>
+                        {loading ? "Connecting..." : "Connect Calendar"}
+                    </Button>
+                </form>
+            </>
+        )}
+    </div>
+  )
+}
+
+export default CalendarConnection
@@ -0,0 +1,162 @@
+"use client"
+import { dateOverrideSchema } from '@/app/lib/validators'
+import React from 'react'
+import { Controller, useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { useRouter } from 'next/navigation'
+import { format } from 'date-fns'
+import { Trash2 } from 'lucide-react'
+import { Checkbox } from '@/components/ui/checkbox'
+import { timeSlots } from '../data'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import useFetch from '@/hooks/use-fetch'
+import { deleteDateOverride, saveDateOverride } from '@/actions/availability'
+
+const DateOverrides = ({overrides}) => {
+    const router = useRouter();
+    const {register,handleSubmit,control,watch,reset,formState:{errors}} = useForm({
+        resolver: zodResolver(dateOverrideSchema),
+        defaultValues:{
+            date:"",
+            isAvailable:false,
+            startTime:"09:00",
+            endTime:"17:00",
+            reason:"",
+        },
+    });
+
+    const isAvailable = watch("isAvailable");
+
+    const {loading,error,fn:fnSaveOverride} = useFetch(saveDateOverride);
+    const {loading:deleting,fn:fnDeleteOverride} = useFetch(deleteDateOverride);
+
+    const onSubmit = async(data) => {
+        await fnSaveOverride(data);
+        reset();
+        router.refresh();
+    }
+
+    const handleDelete = async(overrideId) => {
+        await fnDeleteOverride(overrideId);
+        router.refresh();
+    }
+
+  return (
+    <div className='mt-8'>
+        <h3 className='text-xl font-semibold mb-2'>Date overrides</h3>
+        <p className='text-sm text-gray-600 mb-4'>
+            Block out holidays or set different hours for specific dates. An override replaces your weekly hours for that date.
+        </p>
+
+        <form action="" className='space-y-4 mb-6' onSubmit={handleSubmit(onSubmit)}>
+            <div className='flex flex-wrap items-center gap-4'>
+                <Input
+                type="date"
+                {...register("date")}
+                className="w-44 border-2 border-blue-600 bg-white text-blue-900 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm"
+                />
+
+                <Controller
+                name="isAvailable"
+                control={control}
+                render={({field})=>(
+                    <label className='flex items-center gap-2'>
+                        <Checkbox checked={field.value}
+                        className="border-black bg-white text-black focus:ring-2 focus:ring-black"
+                        onCheckedChange={(checked) => field.onChange(!!checked)}/>
+                        <span>Available on this date</span>
+                    </label>
+                )}
+                />
+            </div>
+
+            {isAvailable && (
+                <div className='flex items-center space-x-4'>
+                    {["startTime","endTime"].map((name,index) => (
+                        <React.Fragment key={name}>
+                            {index === 1 && <span>to</span>}
+                            <Controller
+                                name={name}
+                                control={control}
+                                render={({field})=>(
+                                    <Select onValueChange={field.onChange}
+                                    value={field.value}
+                                    >
+                                        <SelectTrigger className="w-32 border-2 border-blue-600 bg-white text-blue-900 placeholder-blue-400 focus:ring-2 focus:ring-blue-600 focus:border-blue-600 shadow-sm">
+                                            <SelectValue placeholder={index === 0 ? "Start Time" : "End Time"} />
+                                        </SelectTrigger>
+                                        <SelectContent>
+                                            {timeSlots.map((time) => {
+                                                return <SelectItem key={time} value={time}>{time}</SelectItem>
+                                            })}
+                                        </SelectContent>
+                                    </Select>
+                                )}
+                            />
+                        </React.Fragment>
+                    ))}
+                </div>
+            )}
+
+            <Input
+            {...register("reason")}
+            placeholder="Reason (optional), e.g. Public holiday"
+            className="max-w-md"
+            />
+
+            {errors.date && (
+                <p className='text-sm text-red-500'>{errors.date?.message}</p>
+            )}
+            {errors.endTime && (
+                <p className='text-sm text-red-500'>{errors.endTime?.message}</p>
+            )}
+            {errors.reason && (
+                <p className='text-sm text-red-500'>{errors.reason?.message}</p>
+            )}
+            {error && (
+                <p className='text-sm text-red-500'>{error?.message}</p>
+            )}
+
+            <Button type="submit" disabled={loading}>
+                {loading ? "Saving..." : "Add Override"}
+            </Button>
+        </form>
+
+        {overrides.length === 0 ? (
+            <p className='text-sm text-gray-600'>No upcoming date overrides.</p>
+        ) : (
+            <ul className='space-y-2'>
+                {overrides.map((override) => (
+                    <li key={override.id} className='flex items-center justify-between max-w-md bg-white border rounded-md px-4 py-2'>
+                        <div>
+                            <p className='font-medium'>
+                                {format(new Date(`${override.date}T00:00:00`),"EEE, MMM d, yyyy")}
+                            </p>
+                            <p className='text-sm text-gray-600'>
+                                {override.isAvailable
+                                    ? `${override.startTime} - ${override.endTime}`
+                                    : "Unavailable"}
+                                {override.reason && ` · ${override.reason}`}
+                            </p>
+                        </div>
+                        <Button variant="ghost" size="icon" disabled={deleting}
+                        onClick={() => handleDelete(override.id)}>
+                            <Trash2 className='h-4 w-4'/>
+                        </Button>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+  )
+}
+
+export default DateOverrides
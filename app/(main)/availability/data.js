@@ -50,12 +50,12 @@ export const timeSlots = [
 ];
 
 export const defaultAvailability = {
-  monday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  tuesday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  wednesday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  thursday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  friday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  saturday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
-  sunday: { isAvailable: false, startTime: "09:00", endTime: "17:00" },
+  monday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  tuesday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  wednesday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  thursday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  friday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  saturday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
+  sunday: { isAvailable: false, ranges: [{ startTime: "09:00", endTime: "17:00" }] },
   timeGap: 0,
 };
\ No newline at end of file
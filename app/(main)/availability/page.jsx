@@ -1,15 +1,30 @@
 
 import AvailabilityForm from './_components/availability-Form'
-import { getUserAvailability } from '@/actions/availability';
+import DateOverrides from './_components/date-overrides'
+import BusyCalendars from './_components/busy-calendars'
+import CalendarConnection from './_components/calendar-connection'
+import { getBusyCalendars, getCalendarConnection, getDateOverrides, getUserAvailability } from '@/actions/availability';
 import { defaultAvailability } from './data';
 
 const AvailabilityPage = async() =>{
 
-  const availability = await getUserAvailability();
-  
+  const [availability, overrides, busyCalendars, calendarConnection] = await Promise.all([
+    getUserAvailability(),
+    getDateOverrides(),
+    getBusyCalendars(),
+    getCalendarConnection(),
+  ]);
+
   return (
-    <AvailabilityForm initialData = {availability ||defaultAvailability} /> 
+    <div className='grid gap-8 xl:grid-cols-2'>
+      <AvailabilityForm initialData = {availability ||defaultAvailability} />
+      <div>
+        <DateOverrides overrides={overrides} />
+        <BusyCalendars connected={busyCalendars.connected} calendars={busyCalendars.calendars} />
+        <CalendarConnection connection={calendarConnection} />
+      </div>
+    </div>
   )
 }
 
-export default AvailabilityPage
\ No newline at end of file
+export default AvailabilityPage
@@ -0,0 +1,85 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import {
+  getCalendarFeedUrl,
+  regenerateCalendarFeedUrl,
+} from "@/actions/user";
+import useFetch from "@/hooks/use-fetch";
+
+// The host's bookings feed for Outlook, Apple Calendar and the like.
+// Generating a new URL revokes the old one.
+export default function CalendarFeed() {
+  const [origin, setOrigin] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const { data: path, fn: fnGetUrl } = useFetch(getCalendarFeedUrl);
+  const {
+    loading,
+    error,
+    data: newPath,
+    fn: fnRegenerate,
+  } = useFetch(regenerateCalendarFeedUrl);
+
+  useEffect(() => {
+    setOrigin(window.location.origin);
+    fnGetUrl();
+  }, []);
+
+  const feedPath = newPath ?? path;
+  const feedUrl = feedPath ? `${origin}${feedPath}` : "";
+
+  const handleRegenerate = async () => {
+    if (
+      !feedPath ||
+      window.confirm("Calendars subscribed to the current URL will stop updating. Continue?")
+    ) {
+      setCopied(false);
+      await fnRegenerate();
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    setCopied(true);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Calendar Feed</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-500">
+          Subscribe to this private URL in Outlook, Apple Calendar or any other
+          calendar app to see your bookings there. Anyone with the URL can see
+          them.
+        </p>
+
+        {feedUrl && (
+          <div className="flex items-center gap-2">
+            <Input readOnly value={feedUrl} onFocus={(e) => e.target.select()} />
+            <Button type="button" variant="outline" onClick={handleCopy}>
+              {copied ? "Copied!" : "Copy"}
+            </Button>
+            <Button type="button" variant="outline" asChild>
+              <a href={feedUrl.replace(/^https?:/, "webcal:")}>Subscribe</a>
+            </Button>
+          </div>
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error.message}</p>}
+        <Button type="button" disabled={loading} onClick={handleRegenerate}>
+          {loading
+            ? "Generating..."
+            : feedPath
+              ? "Generate New URL"
+              : "Create Feed URL"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -14,6 +14,7 @@ import { updateUsername } from '@/actions/user';
 // import { set } from 'zod';
 import { getLatestUpdates } from '@/actions/dashboard';
 import { format } from 'date-fns';
+import CalendarFeed from './_components/calendar-feed';
 
 
 const Dashboard = () => {
@@ -118,6 +119,10 @@ const Dashboard = () => {
                 }
               </div>
 
+              <p className='text-sm text-gray-500'>
+                Links with your previous username keep working.
+              </p>
+
               {loading && (
                 <BarLoader width={"100%"} color='#36d7b7' className='mb-4'/>
               )}
@@ -126,6 +131,7 @@ const Dashboard = () => {
           </CardContent>
         
       </Card>
+      <CalendarFeed />
     </div>
   )
 }
@@ -1,7 +1,7 @@
 "use client";
 import Link from "next/link";
 import { usePathname } from "next/navigation";
-import { Calendar, BarChart, Users, Clock } from "lucide-react";
+import { Calendar, BarChart, Users, Clock, Briefcase, Webhook } from "lucide-react";
 import { BarLoader } from "react-spinners";
 import { useUser } from "@clerk/nextjs";
 
@@ -10,6 +10,8 @@ const navItems = [
   { href: "/events", label: "Events", icon: Calendar },
   { href: "/meetings", label: "Meetings", icon: Users },
   { href: "/availability", label: "Availability", icon: Clock },
+  { href: "/teams", label: "Teams", icon: Briefcase },
+  { href: "/webhooks", label: "Webhooks", icon: Webhook },
 ];
 
 const AppLayout = ({children}) => {
@@ -11,8 +11,12 @@ export default function CancelMeetingButton({ meetingId }) {
   const { loading, error, fn: fnCancelMeeting } = useFetch(cancelMeeting);
 
   const handleCancel = async () => {
-    if (window.confirm("Are you sure you want to cancel this meeting?")) {
-      await fnCancelMeeting(meetingId);
+    // Leaving the prompt with Cancel keeps the meeting; the reason is optional.
+    const reason = window.prompt(
+      "Are you sure you want to cancel this meeting? You can add a reason for the invitee."
+    );
+    if (reason !== null) {
+      await fnCancelMeeting(meetingId, { reason: reason.trim() });
       router.refresh();
     }
   };
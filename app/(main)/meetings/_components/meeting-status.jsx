@@ -0,0 +1,52 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { updateMeetingStatus } from "@/actions/meetings";
+import { useRouter } from "next/navigation";
+import useFetch from "@/hooks/use-fetch";
+
+const STATUS_LABELS = {
+  CONFIRMED: "Not marked",
+  COMPLETED: "Completed",
+  NO_SHOW: "No-show",
+};
+
+// Lets the host record how a past meeting went.
+export default function MeetingStatus({ meetingId, status }) {
+  const router = useRouter();
+
+  const { loading, error, fn: fnUpdateMeetingStatus } =
+    useFetch(updateMeetingStatus);
+
+  const handleUpdate = async (newStatus) => {
+    await fnUpdateMeetingStatus(meetingId, newStatus);
+    router.refresh();
+  };
+
+  return (
+    <div className="flex flex-col gap-1 w-full">
+      <span className="text-sm text-gray-600">
+        Status: {STATUS_LABELS[status] ?? status}
+      </span>
+      <div className="flex gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={loading || status === "COMPLETED"}
+          onClick={() => handleUpdate("COMPLETED")}
+        >
+          Mark completed
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={loading || status === "NO_SHOW"}
+          onClick={() => handleUpdate("NO_SHOW")}
+        >
+          Mark no-show
+        </Button>
+      </div>
+      {error && <span className="text-red-500 text-sm">{error.message}</span>}
+    </div>
+  );
+}
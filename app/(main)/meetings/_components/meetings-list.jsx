@@ -1,4 +1,4 @@
-import { format } from "date-fns";
+import { formatInTimeZone } from "@/lib/time-zone";
 import {
   Card,
   CardContent,
@@ -7,10 +7,14 @@ import {
   CardHeader,
   CardTitle,
 } from "@/components/ui/card";
-import { Calendar, Clock, Video } from "lucide-react";
+import { Calendar, Clock } from "lucide-react";
+import MeetingLocation from "@/components/meeting-location";
+import { formatAnswer } from "@/lib/questions";
 import CancelMeetingButton from "./cancel-meeting";
+import MeetingStatus from "./meeting-status";
+import PendingMeetingActions from "./pending-meeting-actions";
 
-export default function MeetingList({ meetings, type }) {
+export default function MeetingList({ meetings, type, timeZone }) {
   if (meetings.length === 0) {
     return <p>No {type} meetings found.</p>;
   }
@@ -29,26 +33,45 @@ export default function MeetingList({ meetings, type }) {
           <CardContent>
             <div className="flex items-center mb-2">
               <Calendar className="mr-2 h-4 w-4" />
-              <span>{format(new Date(meeting.startTime), "MMMM d, yyyy")}</span>
+              <span>
+                {formatInTimeZone(meeting.startTime, timeZone, "MMMM d, yyyy")}
+              </span>
             </div>
             <div className="flex items-center mb-2">
               <Clock className="mr-2 h-4 w-4" />
               <span>
-                {format(new Date(meeting.startTime), "h:mm a")} -{" "}
-                {format(new Date(meeting.endTime), "h:mm a")}
+                {formatInTimeZone(meeting.startTime, timeZone, "h:mm a")} -{" "}
+                {formatInTimeZone(meeting.endTime, timeZone, "h:mm a")}
               </span>
             </div>
-            {meeting.meetLink && (
-              <div className="flex items-center">
-                <Video className="mr-2 h-4 w-4" />
-                <a
-                  href={meeting.meetLink}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="text-blue-500 hover:underline"
-                >
-                  Join Meeting
-                </a>
+            {type !== "cancelled" && <MeetingLocation booking={meeting} />}
+            {meeting.answers?.length > 0 && (
+              <dl className="mt-2 space-y-1 text-sm">
+                {meeting.answers.map((answer) => (
+                  <div key={answer.id}>
+                    <dt className="font-medium">{answer.label}</dt>
+                    <dd className="text-gray-600">{formatAnswer(answer)}</dd>
+                  </div>
+                ))}
+              </dl>
+            )}
+            {meeting.status === "PENDING" && meeting.expiresAt && (
+              <p className="mt-2 text-sm text-amber-600">
+                Awaiting your approval until{" "}
+                {formatInTimeZone(meeting.expiresAt, timeZone, "MMMM d, h:mm a")}
+              </p>
+            )}
+            {meeting.status === "CANCELLED" && (
+              <div className="mt-2 text-sm text-red-600">
+                <p>
+                  Cancelled by{" "}
+                  {meeting.cancelledBy === "INVITEE" ? meeting.name : "you"}
+                  {meeting.cancelledAt &&
+                    ` on ${formatInTimeZone(meeting.cancelledAt, timeZone, "MMMM d, yyyy")}`}
+                </p>
+                {meeting.cancellationReason && (
+                  <p>&quot;{meeting.cancellationReason}&quot;</p>
+                )}
               </div>
             )}
           </CardContent>
@@ -57,6 +80,16 @@ export default function MeetingList({ meetings, type }) {
               <CancelMeetingButton meetingId={meeting.id} />
             </CardFooter>
           )}
+          {type === "pending" && (
+            <CardFooter>
+              <PendingMeetingActions meetingId={meeting.id} />
+            </CardFooter>
+          )}
+          {type === "past" && (
+            <CardFooter>
+              <MeetingStatus meetingId={meeting.id} status={meeting.status} />
+            </CardFooter>
+          )}
         </Card>
       ))}
     </div>
@@ -0,0 +1,57 @@
+"use client";
+
+import { Button } from "@/components/ui/button";
+import { approveMeeting, declineMeeting } from "@/actions/meetings";
+import { useRouter } from "next/navigation";
+import useFetch from "@/hooks/use-fetch";
+
+export default function PendingMeetingActions({ meetingId }) {
+  const router = useRouter();
+
+  const {
+    loading: approving,
+    error: approveError,
+    fn: fnApproveMeeting,
+  } = useFetch(approveMeeting);
+  const {
+    loading: declining,
+    error: declineError,
+    fn: fnDeclineMeeting,
+  } = useFetch(declineMeeting);
+
+  const handleApprove = async () => {
+    await fnApproveMeeting(meetingId);
+    router.refresh();
+  };
+
+  // Leaving the prompt with Cancel keeps the request; the reason is optional.
+  const handleDecline = async () => {
+    const reason = window.prompt(
+      "Decline this request? You can add a reason for the invitee."
+    );
+    if (reason !== null) {
+      await fnDeclineMeeting(meetingId, { reason: reason.trim() });
+      router.refresh();
+    }
+  };
+
+  const error = approveError || declineError;
+
+  return (
+    <div className="flex flex-col gap-1 w-full">
+      <div className="flex gap-2">
+        <Button onClick={handleApprove} disabled={approving || declining}>
+          {approving ? "Approving..." : "Approve"}
+        </Button>
+        <Button
+          variant="destructive"
+          onClick={handleDecline}
+          disabled={approving || declining}
+        >
+          {declining ? "Declining..." : "Decline"}
+        </Button>
+      </div>
+      {error && <span className="text-red-500 text-sm">{error.message}</span>}
+    </div>
+  );
+}
@@ -1,11 +1,12 @@
 import { Suspense } from "react";
 import { getUserMeetings } from "@/actions/meetings";
+import { getUserTimeZone } from "@/actions/availability";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import MeetingList from "./_components/meetings-list";
 
 export const metadata = {
   title: "Your Meetings | Schedulrr",
-  description: "View and manage your upcoming and past meetings.",
+  description: "View and manage your upcoming, past and cancelled meetings.",
 };
 
 export default async function MeetingsPage() {
@@ -13,28 +14,62 @@ export default async function MeetingsPage() {
     <Tabs defaultValue="upcoming">
       <TabsList className="mb-4">
         <TabsTrigger value="upcoming">Upcoming</TabsTrigger>
+        <TabsTrigger value="pending">Pending</TabsTrigger>
         <TabsTrigger value="past">Past</TabsTrigger>
+        <TabsTrigger value="cancelled">Cancelled</TabsTrigger>
       </TabsList>
       <TabsContent value="upcoming">
         <Suspense fallback={<div>Loading upcoming meetings...</div>}>
           <UpcomingMeetings />
         </Suspense>
       </TabsContent>
+      <TabsContent value="pending">
+        <Suspense fallback={<div>Loading pending requests...</div>}>
+          <PendingMeetings />
+        </Suspense>
+      </TabsContent>
       <TabsContent value="past">
         <Suspense fallback={<div>Loading past meetings...</div>}>
           <PastMeetings />
         </Suspense>
       </TabsContent>
+      <TabsContent value="cancelled">
+        <Suspense fallback={<div>Loading cancelled meetings...</div>}>
+          <CancelledMeetings />
+        </Suspense>
+      </TabsContent>
     </Tabs>
   );
 }
 
 async function UpcomingMeetings() {
-  const meetings = await getUserMeetings("upcoming");
-  return <MeetingList meetings={meetings} type="upcoming" />;
+  const [meetings, timeZone] = await Promise.all([
+    getUserMeetings("upcoming"),
+    getUserTimeZone(),
+  ]);
+  return <MeetingList meetings={meetings} type="upcoming" timeZone={timeZone} />;
+}
+
+async function PendingMeetings() {
+  const [meetings, timeZone] = await Promise.all([
+    getUserMeetings("pending"),
+    getUserTimeZone(),
+  ]);
+  return <MeetingList meetings={meetings} type="pending" timeZone={timeZone} />;
 }
 
 async function PastMeetings() {
-  const meetings = await getUserMeetings("past");
-  return <MeetingList meetings={meetings} type="past" />;
-}
\ No newline at end of file
+  const [meetings, timeZone] = await Promise.all([
+    getUserMeetings("past"),
+    getUserTimeZone(),
+  ]);
+  return <MeetingList meetings={meetings} type="past" timeZone={timeZone} />;
+}
+
+async function CancelledMeetings() {
+  const [meetings, timeZone] = await Promise.all([
+    getUserMeetings("cancelled"),
+    getUserTimeZone(),
+  ]);
+  return <MeetingList meetings={meetings} type="cancelled" timeZone={timeZone} />;
+}
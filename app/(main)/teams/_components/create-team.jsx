@@ -0,0 +1,46 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { teamSchema } from "@/app/lib/validators";
+import { createTeam } from "@/actions/teams";
+import useFetch from "@/hooks/use-fetch";
+
+export default function CreateTeam() {
+  const router = useRouter();
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(teamSchema),
+    defaultValues: { name: "" },
+  });
+
+  const { loading, error, fn: fnCreateTeam } = useFetch(createTeam);
+
+  const onSubmit = async (data) => {
+    await fnCreateTeam(data);
+    reset();
+    router.refresh();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="flex flex-wrap gap-2">
+      <div>
+        <Input {...register("name")} placeholder="Team name" className="w-64" />
+        {errors.name && (
+          <p className="text-red-500 text-sm mt-1">{errors.name.message}</p>
+        )}
+        {error && <p className="text-red-500 text-sm mt-1">{error.message}</p>}
+      </div>
+      <Button type="submit" disabled={loading}>
+        {loading ? "Creating..." : "Create Team"}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,149 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import { useUser } from "@clerk/nextjs";
+import { Trash2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { teamMemberSchema } from "@/app/lib/validators";
+import {
+  addTeamMember,
+  removeTeamMember,
+  updateTeamMemberWeight,
+} from "@/actions/teams";
+import useFetch from "@/hooks/use-fetch";
+
+// A team with its members. Owners can invite and remove members and set
+// their round-robin weights.
+export default function TeamCard({ team }) {
+  const router = useRouter();
+  const { user } = useUser();
+  const isOwner = team.role === "OWNER";
+  const memberCount = team.members.filter((member) => member.acceptedAt).length;
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(teamMemberSchema),
+    defaultValues: { username: "" },
+  });
+
+  const { loading: adding, error: addError, fn: fnAddMember } =
+    useFetch(addTeamMember);
+  const { error: updateError, fn: fnUpdateWeight } = useFetch(
+    updateTeamMemberWeight
+  );
+  const { loading: removing, error: removeError, fn: fnRemoveMember } =
+    useFetch(removeTeamMember);
+
+  const onAddMember = async (data) => {
+    await fnAddMember(team.id, data);
+    reset();
+    router.refresh();
+  };
+
+  const handleWeightChange = async (member, value) => {
+    const weight = Number(value);
+    if (!Number.isInteger(weight) || weight === member.weight) {
+      return;
+    }
+    await fnUpdateWeight(team.id, member.id, { weight });
+    router.refresh();
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user.username === user?.username;
+    const question = isSelf
+      ? `Leave ${team.name}?`
+      : `Remove ${member.user.name} from ${team.name}?`;
+
+    if (window.confirm(question)) {
+      await fnRemoveMember(team.id, member.id);
+      router.refresh();
+    }
+  };
+
+  const error = addError ?? updateError ?? removeError;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-2xl">{team.name}</CardTitle>
+        <CardDescription>
+          {memberCount} {memberCount === 1 ? "member" : "members"}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <ul className="space-y-2">
+          {team.members.map((member) => (
+            <li key={member.id} className="flex items-center gap-2">
+              <span className="flex-1">
+                {member.user.name}{" "}
+                <span className="text-sm text-gray-500">
+                  @{member.user.username}
+                  {member.role === "OWNER" && " · Owner"}
+                  {!member.acceptedAt && " · Invited"}
+                </span>
+              </span>
+              {isOwner && (
+                <Input
+                  type="number"
+                  min={1}
+                  defaultValue={member.weight}
+                  aria-label="Round-robin weight"
+                  title="Round-robin weight"
+                  className="w-20"
+                  onBlur={(e) => handleWeightChange(member, e.target.value)}
+                />
+              )}
+              {(isOwner || member.user.username === user?.username) && (
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  aria-label="Remove member"
+                  disabled={removing}
+                  onClick={() => handleRemove(member)}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isOwner && (
+          <form
+            onSubmit={handleSubmit(onAddMember)}
+            className="flex flex-wrap gap-2"
+          >
+            <div>
+              <Input {...register("username")} placeholder="Username" />
+              {errors.username && (
+                <p className="text-red-500 text-sm mt-1">
+                  {errors.username.message}
+                </p>
+              )}
+            </div>
+            <Button type="submit" variant="outline" disabled={adding}>
+              {adding ? "Inviting..." : "Invite Member"}
+            </Button>
+          </form>
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      </CardContent>
+    </Card>
+  );
+}
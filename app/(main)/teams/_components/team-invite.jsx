@@ -0,0 +1,59 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { acceptTeamInvite, removeTeamMember } from "@/actions/teams";
+import useFetch from "@/hooks/use-fetch";
+
+// An invite to a team. Accepting makes the user a host of the team's
+// events; declining removes the invite.
+export default function TeamInvite({ team }) {
+  const router = useRouter();
+
+  const { loading: accepting, error: acceptError, fn: fnAccept } =
+    useFetch(acceptTeamInvite);
+  const { loading: declining, error: declineError, fn: fnDecline } =
+    useFetch(removeTeamMember);
+
+  const handleAccept = async () => {
+    await fnAccept(team.id);
+    router.refresh();
+  };
+
+  const handleDecline = async () => {
+    await fnDecline(team.id, team.membershipId);
+    router.refresh();
+  };
+
+  const error = acceptError ?? declineError;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-xl">
+          You&apos;re invited to join {team.name}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <p className="text-sm text-gray-600">
+          Members host the team&apos;s events: bookings go into their calendar
+          and their free times are offered on the team&apos;s booking pages.
+        </p>
+        <div className="flex gap-2">
+          <Button disabled={accepting || declining} onClick={handleAccept}>
+            Accept
+          </Button>
+          <Button
+            variant="outline"
+            disabled={accepting || declining}
+            onClick={handleDecline}
+          >
+            Decline
+          </Button>
+        </div>
+        {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,36 @@
+import { getUserTeams } from "@/actions/teams";
+import CreateTeam from "./_components/create-team";
+import TeamCard from "./_components/team-card";
+import TeamInvite from "./_components/team-invite";
+
+export const metadata = {
+  title: "Your Teams | Schedulrr",
+  description: "Manage the teams that share round-robin events.",
+};
+
+export default async function TeamsPage() {
+  const userTeams = await getUserTeams();
+  const invites = userTeams.filter((team) => !team.acceptedAt);
+  const teams = userTeams.filter((team) => team.acceptedAt);
+
+  return (
+    <div className="space-y-8">
+      {invites.map((team) => (
+        <TeamInvite key={team.id} team={team} />
+      ))}
+      <CreateTeam />
+      {teams.length === 0 ? (
+        <p>
+          You aren&apos;t in any team yet. Teams can share round-robin events
+          that go to whichever member is free.
+        </p>
+      ) : (
+        <div className="grid gap-4 grid-cols-1 lg:grid-cols-2">
+          {teams.map((team) => (
+            <TeamCard key={team.id} team={team} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
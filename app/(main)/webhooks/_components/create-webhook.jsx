@@ -0,0 +1,114 @@
+"use client";
+
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { webhookSchema } from "@/app/lib/validators";
+import { createWebhook } from "@/actions/webhooks";
+import { WEBHOOK_TRIGGERS, WEBHOOK_TRIGGER_VALUES } from "@/lib/webhook-triggers";
+import useFetch from "@/hooks/use-fetch";
+
+// Select items can't have an empty value, so "all events" gets its own.
+const ALL_EVENTS = "all";
+
+export default function CreateWebhook({ events }) {
+  const router = useRouter();
+  const {
+    register,
+    control,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(webhookSchema),
+    defaultValues: { url: "", eventId: "", triggers: WEBHOOK_TRIGGER_VALUES },
+  });
+
+  const { loading, error, fn: fnCreateWebhook } = useFetch(createWebhook);
+
+  const onSubmit = async (data) => {
+    await fnCreateWebhook(data);
+    reset();
+    router.refresh();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4 max-w-xl">
+      <div>
+        <Input {...register("url")} placeholder="https://example.com/webhooks" />
+        {errors.url && (
+          <p className="text-red-500 text-sm mt-1">{errors.url.message}</p>
+        )}
+      </div>
+
+      <Controller
+        name="eventId"
+        control={control}
+        render={({ field }) => (
+          <Select
+            value={field.value || ALL_EVENTS}
+            onValueChange={(value) =>
+              field.onChange(value === ALL_EVENTS ? "" : value)
+            }
+          >
+            <SelectTrigger>
+              <SelectValue placeholder="Events" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_EVENTS}>All my bookings</SelectItem>
+              {events.map((event) => (
+                <SelectItem key={event.id} value={event.id}>
+                  {event.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      />
+
+      <Controller
+        name="triggers"
+        control={control}
+        render={({ field }) => (
+          <div className="space-y-1">
+            {Object.entries(WEBHOOK_TRIGGERS).map(([trigger, label]) => (
+              <label key={trigger} className="flex items-center gap-2 text-sm">
+                <Checkbox
+                  checked={field.value?.includes(trigger)}
+                  onCheckedChange={(checked) =>
+                    field.onChange(
+                      checked
+                        ? [...(field.value ?? []), trigger]
+                        : field.value.filter((value) => value !== trigger)
+                    )
+                  }
+                />
+                <span>
+                  {label} <code className="text-gray-500">{trigger}</code>
+                </span>
+              </label>
+            ))}
+          </div>
+        )}
+      />
+      {errors.triggers && (
+        <p className="text-red-500 text-sm">{errors.triggers.message}</p>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      <Button type="submit" disabled={loading}>
+        {loading ? "Adding..." : "Add Webhook"}
+      </Button>
+    </form>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Trash2 } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { deleteWebhook, redeliverWebhook } from "@/actions/webhooks";
+import useFetch from "@/hooks/use-fetch";
+
+const STATUS_LABELS = {
+  PENDING: "Sending",
+  SUCCEEDED: "Delivered",
+  FAILED: "Failed",
+};
+
+// A webhook with its signing secret and delivery log. Deliveries that are
+// done (or gave up) can be sent again.
+export default function WebhookCard({ webhook }) {
+  const router = useRouter();
+  const [showSecret, setShowSecret] = useState(false);
+
+  const { loading: deleting, error: deleteError, fn: fnDeleteWebhook } =
+    useFetch(deleteWebhook);
+  const { loading: redelivering, error: redeliverError, fn: fnRedeliver } =
+    useFetch(redeliverWebhook);
+
+  const handleDelete = async () => {
+    if (window.confirm(`Delete the webhook for ${webhook.url}?`)) {
+      await fnDeleteWebhook(webhook.id);
+      router.refresh();
+    }
+  };
+
+  const handleRedeliver = async (deliveryId) => {
+    await fnRedeliver(deliveryId);
+    router.refresh();
+  };
+
+  const error = deleteError ?? redeliverError;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start gap-2">
+          <div className="flex-1 min-w-0">
+            <CardTitle className="text-xl break-all">{webhook.url}</CardTitle>
+            <CardDescription>
+              {webhook.event ? webhook.event.title : "All my bookings"} ·{" "}
+              {webhook.triggers.join(", ")}
+            </CardDescription>
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            aria-label="Delete webhook"
+            disabled={deleting}
+            onClick={handleDelete}
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="text-sm">
+          <span className="text-gray-600">Signing secret: </span>
+          {showSecret ? (
+            <code className="break-all">{webhook.secret}</code>
+          ) : (
+            <Button variant="link" className="p-0 h-auto" onClick={() => setShowSecret(true)}>
+              Show
+            </Button>
+          )}
+        </div>
+
+        {webhook.deliveries.length === 0 ? (
+          <p className="text-sm text-gray-600">Nothing sent yet.</p>
+        ) : (
+          <ul className="divide-y text-sm">
+            {webhook.deliveries.map((delivery) => (
+              <li key={delivery.id} className="flex flex-wrap items-center gap-2 py-2">
+                <span className="w-40 text-gray-600">
+                  {format(new Date(delivery.createdAt), "MMM d, HH:mm:ss")}
+                </span>
+                <code className="w-44">{delivery.trigger}</code>
+                <span
+                  className={`flex-1 ${
+                    delivery.status === "FAILED" ? "text-red-600" : ""
+                  }`}
+                  title={delivery.error ?? undefined}
+                >
+                  {STATUS_LABELS[delivery.status]}
+                  {delivery.responseStatus && ` (${delivery.responseStatus})`}
+                  {delivery.attempts > 1 && ` after ${delivery.attempts} attempts`}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={redelivering || delivery.status === "PENDING"}
+                  onClick={() => handleRedeliver(delivery.id)}
+                >
+                  Redeliver
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      </CardContent>
+    </Card>
+  );
+}
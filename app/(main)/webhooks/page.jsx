@@ -0,0 +1,34 @@
+import { getUserWebhooks } from "@/actions/webhooks";
+import { getUserEvents } from "@/actions/events";
+import CreateWebhook from "./_components/create-webhook";
+import WebhookCard from "./_components/webhook-card";
+
+export const metadata = {
+  title: "Your Webhooks | Schedulrr",
+  description: "Send booking updates to your own tools.",
+};
+
+export default async function WebhooksPage() {
+  const [webhooks, { events }] = await Promise.all([
+    getUserWebhooks(),
+    getUserEvents(),
+  ]);
+
+  return (
+    <div className="space-y-8">
+      <CreateWebhook events={events} />
+      {webhooks.length === 0 ? (
+        <p>
+          You don&apos;t have any webhooks yet. Webhooks POST booking updates
+          to a URL of yours, e.g. for your CRM or chat bots.
+        </p>
+      ) : (
+        <div className="grid gap-4 grid-cols-1">
+          {webhooks.map((webhook) => (
+            <WebhookCard key={webhook.id} webhook={webhook} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
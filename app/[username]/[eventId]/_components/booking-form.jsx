@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { DayPicker } from "react-day-picker";
@@ -8,22 +8,70 @@ import { format } from "date-fns";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
-import { createBooking } from "@/actions/bookings";
-import { bookingSchema } from "@/app/lib/validators";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import Link from "next/link";
+import {
+  createBooking,
+  holdSlot,
+  releaseSlotHold,
+  rescheduleBooking,
+} from "@/actions/bookings";
+import { bookingSchema, buildAnswersSchema } from "@/app/lib/validators";
+import { getDefaultAnswers } from "@/lib/questions";
 import "react-day-picker/style.css";
 import useFetch from "@/hooks/use-fetch";
+import MeetingLocation from "@/components/meeting-location";
+import BookingQuestions from "./booking-questions";
+import {
+  DEFAULT_TIME_ZONE,
+  detectTimeZone,
+  formatInTimeZone,
+  getSupportedTimeZones,
+} from "@/lib/time-zone";
 
-export default function BookingForm({ event, availability }) {
+// With `reschedule` ({ token, name, email } of an existing
+// booking) the form moves that booking instead of creating a new one.
+export default function BookingForm({ event, availability, reschedule }) {
   const [selectedDate, setSelectedDate] = useState(null);
+  // Start of the chosen slot as an ISO string (UTC).
   const [selectedTime, setSelectedTime] = useState(null);
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);
+
+  useEffect(() => {
+    setTimeZone(detectTimeZone());
+  }, []);
+
+  // A rescheduled booking keeps its answers, so only new bookings ask.
+  const questions = useMemo(
+    () => (reschedule ? [] : (event.questions ?? [])),
+    [event.questions, reschedule]
+  );
+  // Rescheduling only picks a new time; the invitee's details aren't in the
+  // form, so they aren't checked either.
+  const schema = useMemo(
+    () =>
+      reschedule
+        ? bookingSchema.pick({ date: true, time: true })
+        : bookingSchema.extend({ answers: buildAnswersSchema(questions) }),
+    [questions, reschedule]
+  );
 
   const {
     register,
     handleSubmit,
+    control,
     formState: { errors },
     setValue,
+    setError,
   } = useForm({
-    resolver: zodResolver(bookingSchema),
+    resolver: zodResolver(schema),
+    defaultValues: reschedule ? {} : { answers: getDefaultAnswers(questions) },
   });
 
   useEffect(() => {
@@ -34,11 +82,53 @@ export default function BookingForm({ event, availability }) {
 
   useEffect(() => {
     if (selectedTime) {
-      setValue("time", selectedTime);
+      setValue("time", formatInTimeZone(selectedTime, timeZone, "HH:mm"));
     }
-  }, [selectedTime, setValue]);
+  }, [selectedTime, timeZone, setValue]);
+
+  const { loading, data, fn: fnSubmitBooking } = useFetch(
+    reschedule ? rescheduleBooking : createBooking
+  );
+
+  // Picking a time reserves it for a few minutes so nobody else can take it
+  // while the invitee types; picking another time moves the hold.
+  const {
+    loading: holding,
+    error: holdError,
+    data: hold,
+    fn: fnHoldSlot,
+  } = useFetch(holdSlot);
+  const { fn: fnReleaseSlotHold } = useFetch(releaseSlotHold);
+
+  const holdIdRef = useRef(null);
+  useEffect(() => {
+    holdIdRef.current = hold?.id ?? null;
+  }, [hold]);
 
-  const { loading, data, fn: fnCreateBooking } = useFetch(createBooking);
+  useEffect(() => {
+    return () => {
+      if (holdIdRef.current) {
+        releaseSlotHold(holdIdRef.current);
+      }
+    };
+  }, []);
+
+  const selectSlot = async (slot) => {
+    setSelectedTime(slot);
+    await fnHoldSlot({
+      eventId: event.id,
+      startTime: slot,
+      rescheduleToken: reschedule?.token,
+    });
+  };
+
+  const clearSlot = () => {
+    if (holdIdRef.current) {
+      fnReleaseSlotHold(holdIdRef.current);
+      holdIdRef.current = null;
+    }
+    setSelectedTime(null);
+  };
 
   const onSubmit = async (data) => {
     // console.log("Form submitted with data:", data);
@@ -48,46 +138,109 @@ export default function BookingForm({ event, availability }) {
       return;
     }
 
-    const startTime = new Date(
-      `${format(selectedDate, "yyyy-MM-dd")}T${selectedTime}`
-    );
-    const endTime = new Date(startTime.getTime() + event.duration * 60000);
+    if (reschedule) {
+      await fnSubmitBooking({
+        token: reschedule.token,
+        startTime: selectedTime,
+        timeZone,
+        holdId: holdIdRef.current ?? undefined,
+      });
+      return;
+    }
 
+    if (askInviteeLocation && !data.location?.trim()) {
+      setError("location", { message: "Please tell the host where to meet" });
+      return;
+    }
+
+    // The server derives the end time from the event and re-checks the slot.
     const bookingData = {
       eventId: event.id,
       name: data.name,
       email: data.email,
-      startTime: startTime.toISOString(),
-      endTime: endTime.toISOString(),
+      startTime: selectedTime,
       additionalInfo: data.additionalInfo,
+      location: askInviteeLocation ? data.location : undefined,
+      answers: data.answers,
+      timeZone,
+      holdId: holdIdRef.current ?? undefined,
     };
 
-    await fnCreateBooking(bookingData);
+    await fnSubmitBooking(bookingData);
   };
 
-  const availableDays = availability.map((day) => new Date(day.date));
+  // Slots come grouped by the host's calendar days; regroup them by the
+  // invitee's calendar days so that dates and times match what they see.
+  const slotsByDate = useMemo(() => {
+    const grouped = {};
+    availability.forEach((day) => {
+      day.slots.forEach((slot) => {
+        const date = formatInTimeZone(slot, timeZone, "yyyy-MM-dd");
+        (grouped[date] ||= []).push(slot);
+      });
+    });
+    return grouped;
+  }, [availability, timeZone]);
+
+  // Events with several seats tell how many are left in each slot.
+  const seatsRemaining = useMemo(
+    () =>
+      Object.assign({}, ...availability.map((day) => day.seatsRemaining ?? {})),
+    [availability]
+  );
+
+  const availableDays = Object.keys(slotsByDate).map(
+    (date) => new Date(`${date}T00:00:00`)
+  );
 
   const timeSlots = selectedDate
-    ? availability.find(
-        (day) => day.date === format(selectedDate, "yyyy-MM-dd")
-      )?.slots || []
+    ? slotsByDate[format(selectedDate, "yyyy-MM-dd")] || []
     : [];
 
-  if (data) {
+  const timeZones = useMemo(() => getSupportedTimeZones(), []);
+
+  const askInviteeLocation =
+    !reschedule && event.locationType === "ASK_INVITEE";
+
+  if (data?.success) {
     return (
       <div className="text-center p-10 border bg-white">
-        <h2 className="text-2xl font-bold mb-4">Booking successful!</h2>
-        {data.meetLink && (
-          <p>
-            Join the meeting:{" "}
-            <a
-              href={data.meetLink}
-              target="_blank"
-              rel="noopener noreferrer"
+        <h2 className="text-2xl font-bold mb-4">
+          {reschedule
+            ? "Booking rescheduled!"
+            : data.pending
+              ? "Booking requested!"
+              : "Booking successful!"}
+        </h2>
+        {data.pending && (
+          <p className="mb-2 text-gray-600">
+            {event.kind === "ROUND_ROBIN" ? "Your host" : event.user.name} will
+            confirm this time. You&apos;ll get an email
+            once they do.
+          </p>
+        )}
+        {data.booking && (
+          <p className="mb-2">
+            {formatInTimeZone(
+              data.booking.startTime,
+              timeZone,
+              "EEEE, MMMM d, yyyy 'at' HH:mm"
+            )}{" "}
+            ({timeZone})
+          </p>
+        )}
+        {data.booking && (
+          <MeetingLocation booking={data.booking} className="justify-center" />
+        )}
+        {data.manageToken && (
+          <p className="mt-4 text-sm text-gray-600">
+            Need to make changes?{" "}
+            <Link
+              href={`/booking/${data.manageToken}`}
               className="text-blue-500 hover:underline"
             >
-              {data.meetLink}
-            </a>
+              Reschedule or cancel
+            </Link>
           </p>
         )}
       </div>
@@ -96,6 +249,28 @@ export default function BookingForm({ event, availability }) {
 
   return (
     <div className="flex flex-col gap-8 p-10 border bg-white">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center">
+        <span className="text-sm text-gray-600">Times are shown in</span>
+        <Select
+          value={timeZone}
+          onValueChange={(value) => {
+            setTimeZone(value);
+            setSelectedDate(null);
+            clearSlot();
+          }}
+        >
+          <SelectTrigger className="md:w-72">
+            <SelectValue placeholder="Time zone" />
+          </SelectTrigger>
+          <SelectContent>
+            {timeZones.map((zone) => (
+              <SelectItem key={zone} value={zone}>
+                {zone}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
       <div className="md:h-96 flex flex-col md:flex-row gap-5 ">
         <div className="w-full">
           <DayPicker
@@ -103,7 +278,7 @@ export default function BookingForm({ event, availability }) {
             selected={selectedDate}
             onSelect={(date) => {
               setSelectedDate(date);
-              setSelectedTime(null); // Reset selected time when date changes
+              clearSlot(); // Reset selected time when date changes
             }}
             disabled={[{ before: new Date() }]}
             modifiers={{ available: availableDays }}
@@ -127,9 +302,16 @@ export default function BookingForm({ event, availability }) {
                   <Button
                     key={slot}
                     variant={selectedTime === slot ? "default" : "outline"}
-                    onClick={() => setSelectedTime(slot)}
+                    disabled={holding}
+                    onClick={() => selectSlot(slot)}
                   >
-                    {slot}
+                    {formatInTimeZone(slot, timeZone, "HH:mm")}
+                    {seatsRemaining[slot] && (
+                      <span className="ml-1 text-xs opacity-70">
+                        ({seatsRemaining[slot]}{" "}
+                        {seatsRemaining[slot] === 1 ? "seat" : "seats"} left)
+                      </span>
+                    )}
                   </Button>
                 ))}
               </div>
@@ -137,32 +319,75 @@ export default function BookingForm({ event, availability }) {
           )}
         </div>
       </div>
-      {selectedTime && (
+      {selectedTime && holdError && (
+        <p className="text-red-500 text-sm">
+          {holdError.message} Please pick another time.
+        </p>
+      )}
+      {selectedTime && !holding && !holdError && (
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-          <div>
-            <Input {...register("name")} placeholder="Your Name" />
-            {errors.name && (
-              <p className="text-red-500 text-sm">{errors.name.message}</p>
-            )}
-          </div>
-          <div>
-            <Input
-              {...register("email")}
-              type="email"
-              placeholder="Your Email"
-            />
-            {errors.email && (
-              <p className="text-red-500 text-sm">{errors.email.message}</p>
-            )}
-          </div>
-          <div>
-            <Textarea
-              {...register("additionalInfo")}
-              placeholder="Additional Information"
-            />
-          </div>
+          {hold?.expiresAt && (
+            <p className="text-sm text-gray-600">
+              This time is held for you until{" "}
+              {formatInTimeZone(hold.expiresAt, timeZone, "HH:mm")}.
+            </p>
+          )}
+          {reschedule ? (
+            <p className="text-sm text-gray-600">
+              Rescheduling the booking for {reschedule.name} ({reschedule.email}).
+            </p>
+          ) : (
+            <>
+              <div>
+                <Input {...register("name")} placeholder="Your Name" />
+                {errors.name && (
+                  <p className="text-red-500 text-sm">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <Input
+                  {...register("email")}
+                  type="email"
+                  placeholder="Your Email"
+                />
+                {errors.email && (
+                  <p className="text-red-500 text-sm">{errors.email.message}</p>
+                )}
+              </div>
+              {askInviteeLocation && (
+                <div>
+                  <Input
+                    {...register("location")}
+                    placeholder="Where should we meet? (phone number or address)"
+                  />
+                  {errors.location && (
+                    <p className="text-red-500 text-sm">{errors.location.message}</p>
+                  )}
+                </div>
+              )}
+              <BookingQuestions
+                questions={questions}
+                register={register}
+                control={control}
+                errors={errors}
+              />
+              <div>
+                <Textarea
+                  {...register("additionalInfo")}
+                  placeholder="Additional Information"
+                />
+              </div>
+            </>
+          )}
+          {data?.error && (
+            <p className="text-red-500 text-sm">{data.error}</p>
+          )}
           <Button type="submit" disabled={loading} className="w-full">
-            {loading ? "Scheduling..." : "Schedule Event"}
+            {loading
+              ? "Scheduling..."
+              : reschedule
+                ? "Reschedule Event"
+                : "Schedule Event"}
           </Button>
         </form>
       )}
@@ -0,0 +1,111 @@
+"use client";
+
+import { Controller } from "react-hook-form";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Checkbox } from "@/components/ui/checkbox";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+// The event's extra questions, as fields of the booking form under
+// `answers.<question id>`.
+export default function BookingQuestions({
+  questions,
+  register,
+  control,
+  errors,
+}) {
+  return questions.map((question) => {
+    const name = `answers.${question.id}`;
+    const error = errors.answers?.[question.id];
+    const label = `${question.label}${question.required ? " *" : ""}`;
+
+    return (
+      <div key={question.id} className="space-y-1">
+        {question.type !== "CHECKBOX" && (
+          <label className="block text-sm font-medium text-gray-700">
+            {label}
+          </label>
+        )}
+
+        {question.type === "SHORT_TEXT" && <Input {...register(name)} />}
+
+        {question.type === "LONG_TEXT" && <Textarea {...register(name)} />}
+
+        {question.type === "PHONE" && (
+          <Input {...register(name)} type="tel" placeholder="+1 555 123 4567" />
+        )}
+
+        {question.type === "SELECT" && (
+          <Controller
+            name={name}
+            control={control}
+            render={({ field }) => (
+              <Select value={field.value} onValueChange={field.onChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select an option" />
+                </SelectTrigger>
+                <SelectContent>
+                  {question.options.map((option) => (
+                    <SelectItem key={option} value={option}>
+                      {option}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          />
+        )}
+
+        {question.type === "MULTI_SELECT" && (
+          <Controller
+            name={name}
+            control={control}
+            render={({ field }) => (
+              <div className="space-y-1">
+                {question.options.map((option) => (
+                  <label key={option} className="flex items-center gap-2">
+                    <Checkbox
+                      checked={field.value?.includes(option)}
+                      onCheckedChange={(checked) =>
+                        field.onChange(
+                          checked
+                            ? [...(field.value ?? []), option]
+                            : field.value.filter((value) => value !== option)
+                        )
+                      }
+                    />
+                    <span>{option}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          />
+        )}
+
+        {question.type === "CHECKBOX" && (
+          <Controller
+            name={name}
+            control={control}
+            render={({ field }) => (
+              <label className="flex items-center gap-2">
+                <Checkbox
+                  checked={field.value}
+                  onCheckedChange={(checked) => field.onChange(!!checked)}
+                />
+                <span>{label}</span>
+              </label>
+            )}
+          />
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      </div>
+    );
+  });
+}
@@ -1,6 +1,9 @@
-import { Calendar, Clock } from "lucide-react";
+import { Calendar, Clock, Users } from "lucide-react";
+import { getLocationLabel } from "@/lib/locations";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 
+// On the public booking page the event comes without its location value and
+// the host's email; invitees rescheduling their booking see both.
 export default function EventDetails({ event }) {
   const { user } = event;
   return (
@@ -12,17 +15,44 @@ export default function EventDetails({ event }) {
           <AvatarFallback>{user.name.charAt(0)}</AvatarFallback>
         </Avatar>
         <div>
-          <h2 className="text-xl font-semibold">{user.name}</h2>
-          <p className="text-gray-600">{user.email}</p>
+          {event.kind === "ROUND_ROBIN" && event.team ? (
+            <>
+              <h2 className="text-xl font-semibold">{event.team.name}</h2>
+              <p className="text-gray-600">Your meeting goes to a team member who is free</p>
+            </>
+          ) : event.kind === "COLLECTIVE" && event.team ? (
+            <>
+              <h2 className="text-xl font-semibold">{event.team.name}</h2>
+              <p className="text-gray-600">
+                You&apos;ll meet {event._count.hosts} hosts together
+              </p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-xl font-semibold">{user.name}</h2>
+              {user.email && <p className="text-gray-600">{user.email}</p>}
+            </>
+          )}
         </div>
       </div>
       <div className="flex items-center mb-2">
         <Clock className="mr-2" />
         <span>{event.duration} minutes</span>
       </div>
+      {event.seats > 1 && (
+        <div className="flex items-center mb-2">
+          <Users className="mr-2" />
+          <span>Group meeting, up to {event.seats} invitees</span>
+        </div>
+      )}
       <div className="flex items-center mb-4">
         <Calendar className="mr-2" />
-        <span>Google Meet</span>
+        <span>
+          {getLocationLabel(event.locationType)}
+          {event.locationType === "IN_PERSON" &&
+            event.locationValue &&
+            ` – ${event.locationValue}`}
+        </span>
       </div>
       <p className="text-gray-700">{event.description}</p>
     </div>
@@ -25,13 +25,16 @@ export async function generateMetadata({ params }) {
 export default async function EventBookingPage({ params }) {
   const resolvedParams = await params;
   const event = await getEventDetails(resolvedParams.username, resolvedParams.eventId);
-  const availability = await getEventAvailability(resolvedParams.eventId);
   // console.log("Event:", event);
-  // console.log("Availability:", availability);
+  // Old usernames are redirected by the middleware.
   if (!event) {
     notFound();
   }
 
+  // The URL may hold the slug or the id; availability needs the id.
+  const availability = await getEventAvailability(event.id);
+  // console.log("Availability:", availability);
+
   return (
     <div className="flex flex-col justify-center lg:flex-row px-4 py-8">
       <EventDetails event={event} />
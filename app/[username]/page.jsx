@@ -23,6 +23,7 @@ export default async function UserProfilePage({ params }) {
     const resolvedParams = await params;
     const user = await getUserByUsername(resolvedParams.username);
 
+  // Old usernames are redirected by the middleware.
   if (!user) {
     notFound();
   }
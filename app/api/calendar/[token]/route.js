@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { getCalendarFeed } from "@/lib/calendar-feed";
+
+export const dynamic = "force-dynamic";
+
+// A host's calendar feed, at /api/calendar/<token>.ics.
+export async function GET(request, { params }) {
+  const { token } = await params;
+  const feed = await getCalendarFeed(token.replace(/\.ics$/, ""));
+
+  if (!feed) {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
+  return new NextResponse(feed, {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="schedular.ics"',
+      "Cache-Control": "private, max-age=300",
+    },
+  });
+}
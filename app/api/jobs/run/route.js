@@ -0,0 +1,41 @@
+import { timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+import { runDueJobs } from "@/lib/jobs";
+import { expirePendingBookings, sendBookingReminder } from "@/lib/bookings";
+import { deliverWebhook } from "@/lib/webhooks";
+
+// What runs each type of job.
+const JOB_HANDLERS = {
+  BOOKING_REMINDER: sendBookingReminder,
+  WEBHOOK_DELIVERY: deliverWebhook,
+};
+
+export const dynamic = "force-dynamic";
+
+function isAuthorized(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return false;
+  }
+
+  const given = Buffer.from(request.headers.get("authorization") ?? "");
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// The job worker. A scheduler (e.g. a cron job every minute) calls it with
+// `Authorization: Bearer <CRON_SECRET>`; each call runs the jobs that are
+// due and expires unanswered booking requests. Running it twice at once, or
+// more often than needed, is harmless.
+export async function GET(request) {
+  if (!isAuthorized(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const expired = await expirePendingBookings();
+  const jobs = await runDueJobs(JOB_HANDLERS);
+
+  return NextResponse.json({ expired, ...jobs });
+}
+
+export const POST = GET;
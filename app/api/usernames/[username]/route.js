@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { getRenamedUsername } from "@/actions/user";
+
+export const dynamic = "force-dynamic";
+
+// The current username behind a retired one, for the middleware's
+// redirects of old profile and booking links.
+export async function GET(request, { params }) {
+  const { username } = await params;
+  const currentUsername = await getRenamedUsername(username);
+
+  if (!currentUsername) {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
+  return NextResponse.json({ username: currentUsername });
+}
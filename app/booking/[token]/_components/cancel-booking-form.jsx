@@ -0,0 +1,54 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { cancelBookingAsInvitee } from "@/actions/bookings";
+import { cancellationSchema } from "@/app/lib/validators";
+import useFetch from "@/hooks/use-fetch";
+
+export default function CancelBookingForm({ token }) {
+  const router = useRouter();
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(cancellationSchema),
+    defaultValues: { reason: "" },
+  });
+
+  const { loading, error, fn: fnCancelBooking } = useFetch(
+    cancelBookingAsInvitee
+  );
+
+  const onSubmit = async (data) => {
+    if (window.confirm("Are you sure you want to cancel this booking?")) {
+      await fnCancelBooking(token, data);
+      router.refresh();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-2">
+      <Textarea
+        {...register("reason")}
+        placeholder="Reason for cancelling (optional)"
+      />
+      {errors.reason && (
+        <p className="text-red-500 text-sm">{errors.reason.message}</p>
+      )}
+      {error && <p className="text-red-500 text-sm">{error.message}</p>}
+      <Button
+        type="submit"
+        variant="destructive"
+        disabled={loading}
+        className="w-full"
+      >
+        {loading ? "Canceling..." : "Cancel Booking"}
+      </Button>
+    </form>
+  );
+}
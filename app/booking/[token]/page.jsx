@@ -0,0 +1,92 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { getManagedBooking } from "@/actions/bookings";
+import { Button } from "@/components/ui/button";
+import MeetingLocation from "@/components/meeting-location";
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from "@/lib/time-zone";
+import CancelBookingForm from "./_components/cancel-booking-form";
+
+export const metadata = {
+  title: "Manage your booking | Schedular",
+  robots: { index: false },
+};
+
+export default async function ManageBookingPage({ params }) {
+  const { token } = await params;
+  const booking = await getManagedBooking(token);
+
+  if (!booking) {
+    notFound();
+  }
+
+  const timeZone = booking.timeZone ?? DEFAULT_TIME_ZONE;
+
+  return (
+    <div className="container mx-auto max-w-xl px-4 py-12">
+      <div className="p-10 border bg-white space-y-4">
+        <h1 className="text-2xl font-bold">{booking.event.title}</h1>
+        <p className="text-gray-600">with {booking.event.user.name}</p>
+        <p>
+          {formatInTimeZone(
+            booking.startTime,
+            timeZone,
+            "EEEE, MMMM d, yyyy 'at' HH:mm"
+          )}{" "}
+          ({timeZone})
+        </p>
+        {booking.status === "CONFIRMED" && <MeetingLocation booking={booking} />}
+
+        {booking.status === "PENDING" && (
+          <p className="text-gray-600">
+            Waiting for {booking.event.user.name} to confirm this booking.
+          </p>
+        )}
+
+        {booking.status === "DECLINED" && (
+          <div className="text-red-600">
+            <p>{booking.event.user.name} declined this booking request.</p>
+            {booking.cancellationReason && (
+              <p>&quot;{booking.cancellationReason}&quot;</p>
+            )}
+          </div>
+        )}
+
+        {booking.status === "EXPIRED" && (
+          <p className="text-gray-600">
+            This booking request expired before it was confirmed.
+          </p>
+        )}
+
+        {booking.status === "CANCELLED" && (
+          <div className="text-red-600">
+            <p>This booking has been cancelled.</p>
+            {booking.cancellationReason && (
+              <p>&quot;{booking.cancellationReason}&quot;</p>
+            )}
+          </div>
+        )}
+
+        {booking.status === "RESCHEDULED" && (
+          <p className="text-gray-600">
+            This booking was moved to another time.{" "}
+            {booking.rescheduledToToken && (
+              <Link
+                href={`/booking/${booking.rescheduledToToken}`}
+                className="text-blue-500 hover:underline"
+              >
+                See the new booking
+              </Link>
+            )}
+          </p>
+        )}
+
+        {booking.canReschedule && (
+          <Button asChild variant="outline" className="w-full">
+            <Link href={`/booking/${token}/reschedule`}>Reschedule</Link>
+          </Button>
+        )}
+        {booking.canCancel && <CancelBookingForm token={token} />}
+      </div>
+    </div>
+  );
+}
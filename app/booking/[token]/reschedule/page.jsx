@@ -0,0 +1,45 @@
+import { Suspense } from "react";
+import { notFound, redirect } from "next/navigation";
+import { getManagedBooking } from "@/actions/bookings";
+import { getEventAvailability } from "@/actions/events";
+import EventDetails from "@/app/[username]/[eventId]/_components/event-details";
+import BookingForm from "@/app/[username]/[eventId]/_components/booking-form";
+
+export const metadata = {
+  title: "Reschedule your booking | Schedular",
+  robots: { index: false },
+};
+
+export default async function RescheduleBookingPage({ params }) {
+  const { token } = await params;
+  const booking = await getManagedBooking(token);
+
+  if (!booking) {
+    notFound();
+  }
+
+  if (!booking.canReschedule) {
+    redirect(`/booking/${token}`);
+  }
+
+  const availability = await getEventAvailability(booking.event.id, {
+    rescheduleToken: token,
+  });
+
+  return (
+    <div className="flex flex-col justify-center lg:flex-row px-4 py-8">
+      <EventDetails event={booking.event} />
+      <Suspense fallback={<div>Loading booking form...</div>}>
+        <BookingForm
+          event={booking.event}
+          availability={availability}
+          reschedule={{
+            token,
+            name: booking.name,
+            email: booking.email,
+          }}
+        />
+      </Suspense>
+    </div>
+  );
+}
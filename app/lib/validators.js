@@ -1,4 +1,13 @@
 import z from 'zod';
+import { isValidTimeZone } from '@/lib/time-zone';
+import { LOCATION_TYPES, LOCATION_TYPE_VALUES } from '@/lib/locations';
+import { MAX_SLUG_LENGTH, SLUG_PATTERN } from '@/lib/slugs';
+import { isReservedUsername } from '@/lib/routes';
+import { MAX_QUESTIONS, PHONE_PATTERN, QUESTION_TYPES, QUESTION_TYPE_VALUES } from '@/lib/questions';
+import { REMINDER_OFFSET_VALUES } from '@/lib/reminders';
+import { WEBHOOK_TRIGGER_VALUES } from '@/lib/webhook-triggers';
+import { isPrivateHostname } from '@/lib/private-network';
+import { MAX_EVENT_DURATION, MIN_EVENT_DURATION, SLOT_INTERVAL_OPTIONS } from '@/lib/slots';
 
 
 export const userSchema = z.object({
@@ -6,15 +15,112 @@ export const userSchema = z.object({
     .string()
     .min(3, {message: "Username must be at least 3 characters long"})
     .max(20, {message: "Username must be at most 20 characters long"})
-    .regex(/^[a-zA-Z0-9_]+$/, {message: "Username can only contain letters, numbers, and underscores"}),
+    .regex(/^[a-zA-Z0-9_]+$/, {message: "Username can only contain letters, numbers, and underscores"})
+    .refine((username) => !isReservedUsername(username), {message: "This username is reserved"}),
 })
 
+const optionalLength = z
+    .number()
+    .int({message: "Length must be an integer"})
+    .min(0, {message: "Length cannot be negative"})
+    .optional();
+
+export const questionSchema = z.object({
+    id:z.string().min(1),
+    type:z.enum(QUESTION_TYPE_VALUES),
+    label:z
+    .string()
+    .trim()
+    .min(1, {message: "Question is required"})
+    .max(200, {message: "Question must be at most 200 characters long"}),
+    required:z.boolean(),
+    options:z.array(z.string().trim().min(1).max(100)).max(50).optional(),
+    minLength:optionalLength,
+    maxLength:optionalLength,
+}).superRefine((question,ctx)=>{
+    const {hasOptions,hasLength,maxLength} = QUESTION_TYPES[question.type] ?? {};
+
+    if(hasOptions && (question.options ?? []).length === 0){
+        ctx.addIssue({code:"custom",message:"Add at least one option",path:["options"]});
+    }
+    if(hasOptions && new Set(question.options).size !== (question.options ?? []).length){
+        ctx.addIssue({code:"custom",message:"Options must be unique",path:["options"]});
+    }
+    if(hasLength && question.maxLength !== undefined && question.maxLength > maxLength){
+        ctx.addIssue({code:"custom",message:`Max length must be at most ${maxLength}`,path:["maxLength"]});
+    }
+    if(hasLength && question.minLength !== undefined && question.maxLength !== undefined && question.minLength > question.maxLength){
+        ctx.addIssue({code:"custom",message:"Min length must not exceed max length",path:["maxLength"]});
+    }
+})
+
+// Schema for an invitee's answers to an event's questions, keyed by
+// question id. Used by the booking form and again by createBooking.
+export function buildAnswersSchema(questions = []){
+    return z.object(Object.fromEntries(questions.map((question)=>[question.id,buildAnswerSchema(question)])));
+}
+
+function buildAnswerSchema({type,label,required,options = [],minLength,maxLength}){
+    const requiredMessage = `${label} is required`;
+    // Format rules skip empty answers; whether those are allowed is down to
+    // `required` alone.
+    const orEmpty = (check) => (value) => value === "" || check(value);
+
+    switch(type){
+        case "SELECT":
+            return z.enum(required ? options : ["",...options],{message:required ? requiredMessage : `Pick an option for ${label}`})
+                .optional()
+                .refine((value)=>!required || value !== undefined,requiredMessage);
+        case "MULTI_SELECT":{
+            const choices = z.array(z.enum(options),{message:requiredMessage});
+            return required ? choices.min(1,requiredMessage) : choices.optional();
+        }
+        case "CHECKBOX":
+            return required
+                ? z.literal(true,{message:requiredMessage})
+                : z.boolean().optional();
+        case "PHONE":{
+            const phone = z.string({message:requiredMessage}).trim()
+                .refine(orEmpty((value)=>PHONE_PATTERN.test(value)),`${label} must be a valid phone number`);
+            return required ? phone.refine((value)=>value !== "",requiredMessage) : phone.optional();
+        }
+        default:{
+            const limit = maxLength ?? QUESTION_TYPES[type].maxLength;
+            let text = z.string({message:requiredMessage}).trim()
+                .max(limit,`${label} must be at most ${limit} characters long`);
+            if(minLength){
+                text = text.refine(orEmpty((value)=>value.length >= minLength),`${label} must be at least ${minLength} characters long`);
+            }
+            return required ? text.refine((value)=>value !== "",requiredMessage) : text.optional();
+        }
+    }
+}
+
+// A "yyyy-MM-dd" day that exists (no 2026-02-30), or empty.
+const bookingWindowDate = z
+    .string()
+    .refine((value)=>{
+        if(value === ""){
+            return true;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().slice(0,10) === value;
+    },{message:"Pick a valid date"})
+    .optional();
+
 export const eventSchema = z.object({
     title:z
     .string()
     .min(5, {message: "Title must be at least 5 characters long"})
     .max(100, {message: "Title must be at most 100 characters long"}),
 
+    // Left empty, the slug is made from the title.
+    slug: z
+    .string()
+    .max(MAX_SLUG_LENGTH, {message: `Link must be at most ${MAX_SLUG_LENGTH} characters long`})
+    .refine((value) => value === "" || SLUG_PATTERN.test(value), {message: "Link can only contain lowercase letters, numbers, and single dashes"})
+    .optional(),
+
     description: z
     .string()
     .min(10, {message: "Description must be at least 10 characters long"})
@@ -23,26 +129,160 @@ export const eventSchema = z.object({
     duration: z
     .number()
     .int({message: "Duration must be an integer"})
-    .positive({message: "Duration must be a positive number"}),
+    .min(MIN_EVENT_DURATION, {message: `Duration must be at least ${MIN_EVENT_DURATION} minutes`})
+    .max(MAX_EVENT_DURATION, {message: `Duration must be at most ${MAX_EVENT_DURATION} minutes`}),
+
+    seats: z
+    .number()
+    .int({message: "Seats must be an integer"})
+    .min(1, {message: "There must be at least 1 seat"})
+    .max(500, {message: "There can be at most 500 seats"}),
+
+    slotInterval: z
+    .number()
+    .refine((interval)=>SLOT_INTERVAL_OPTIONS.includes(interval),{message:"Pick a slot interval from the list"})
+    .nullable(),
+
+    bufferBefore: z
+    .number()
+    .int({message: "Buffer must be an integer"})
+    .min(0, {message: "Buffer cannot be negative"})
+    .max(240, {message: "Buffer must be at most 240 minutes"}),
+
+    bufferAfter: z
+    .number()
+    .int({message: "Buffer must be an integer"})
+    .min(0, {message: "Buffer cannot be negative"})
+    .max(240, {message: "Buffer must be at most 240 minutes"}),
+
+    bookingWindowType:z.enum(["ROLLING","DATE_RANGE","INDEFINITE"]),
+
+    bookingWindowDays: z
+    .number()
+    .int({message: "Days must be an integer"})
+    .min(1, {message: "Window must be at least 1 day"})
+    .max(365, {message: "Window must be at most 365 days"}),
+
+    // Empty unless the window is a date range.
+    bookingWindowStart:bookingWindowDate,
+    bookingWindowEnd:bookingWindowDate,
+
+    minimumNotice: z
+    .number()
+    .int({message: "Minimum notice must be an integer"})
+    .min(0, {message: "Minimum notice cannot be negative"}),
+
+    minimumNoticeUnit:z.enum(["HOURS","DAYS"]),
+
+    locationType:z.enum(LOCATION_TYPE_VALUES),
+
+    locationValue: z
+    .string()
+    .max(500, {message: "Location must be at most 500 characters long"})
+    .optional(),
+
+    requiresConfirmation:z.boolean(),
+
+    questions:z
+    .array(questionSchema)
+    .max(MAX_QUESTIONS, {message: `Add at most ${MAX_QUESTIONS} questions`}),
+
+    reminderOffsets:z
+    .array(z.number().refine((offset)=>REMINDER_OFFSET_VALUES.includes(offset),{message:"Pick a reminder from the list"})),
+
+    pendingExpiryHours: z
+    .number()
+    .int({message: "Hours must be an integer"})
+    .min(1, {message: "Requests must stay open for at least 1 hour"})
+    .max(168, {message: "Requests can stay open for at most 168 hours"}),
+
+    kind:z.enum(["ONE_ON_ONE","ROUND_ROBIN","COLLECTIVE"]),
+
+    teamId:z.string().optional(),
+
+    // Team members hosting a collective event.
+    hostIds:z.array(z.string()).max(10, {message: "Pick at most 10 hosts"}).optional(),
+
+    assignment:z.enum(["LEAST_BOOKED","WEIGHTED"]),
 
     isPrivate:z.boolean(),
-})
+}).superRefine((data,ctx)=>{
+    if(data.bookingWindowType === "DATE_RANGE"){
+        if(!data.bookingWindowStart){
+            ctx.addIssue({code:"custom",message:"Pick the first bookable date",path:["bookingWindowStart"]});
+        }
+        if(!data.bookingWindowEnd){
+            ctx.addIssue({code:"custom",message:"Pick the last bookable date",path:["bookingWindowEnd"]});
+        }
+        // "yyyy-MM-dd" strings sort like the dates they name.
+        else if(data.bookingWindowStart && data.bookingWindowStart > data.bookingWindowEnd){
+            ctx.addIssue({code:"custom",message:"Pick a start date on or before the end date",path:["bookingWindowEnd"]});
+        }
+    }
+}).superRefine((data,ctx)=>{
+    const {valueLabel,isUrl} = LOCATION_TYPES[data.locationType] ?? {};
+    const value = data.locationValue?.trim();
 
-export const daySchema = z.object({
-    isAvailable:z.boolean(),
-    startTime:z.string().optional(),
-    endTime:z.string().optional(),
-}).refine((data)=>{
-    if(data.isAvailable){
-        return data.startTime < data.endTime;
+    const isTeamEvent = data.kind === "ROUND_ROBIN" || data.kind === "COLLECTIVE";
+    if(isTeamEvent && !data.teamId){
+        ctx.addIssue({code:"custom",message:"Pick the team that hosts this event",path:["teamId"]});
     }
-    return true;
-},{
+    if(isTeamEvent && data.seats > 1){
+        ctx.addIssue({code:"custom",message:"Team events have one seat per time slot",path:["seats"]});
+    }
+    if(data.kind === "COLLECTIVE" && (data.hostIds?.length ?? 0) < 2){
+        ctx.addIssue({code:"custom",message:"Pick at least 2 hosts",path:["hostIds"]});
+    }
+
+    if(data.seats > 1 && data.locationType === "ASK_INVITEE"){
+        ctx.addIssue({code:"custom",message:"Events with several seats need a location set by you",path:["locationType"]});
+    }
+    else if(valueLabel && !value){
+        ctx.addIssue({code:"custom",message:`${valueLabel} is required`,path:["locationValue"]});
+    }
+    else if(isUrl && !z.url({protocol:/^https?$/}).safeParse(value).success){
+        ctx.addIssue({code:"custom",message:`${valueLabel} must be a valid URL`,path:["locationValue"]});
+    }
+})
+
+export const timeRangeSchema = z.object({
+    startTime:z.string(),
+    endTime:z.string(),
+}).refine((data)=>data.startTime < data.endTime,{
     message:"Start time must be before end time",
     path:["endTime"],
 }
 )
 
+export const daySchema = z.object({
+    isAvailable:z.boolean(),
+    ranges:z.array(timeRangeSchema),
+}).superRefine((data,ctx)=>{
+    if(!data.isAvailable){
+        return;
+    }
+    if(data.ranges.length === 0){
+        ctx.addIssue({
+            code:"custom",
+            message:"Add at least one time range",
+            path:["ranges"],
+        });
+        return;
+    }
+
+    const sorted = [...data.ranges].sort((a,b)=>a.startTime.localeCompare(b.startTime));
+    const overlaps = sorted.some((range,index)=>
+        index > 0 && range.startTime < sorted[index - 1].endTime
+    );
+    if(overlaps){
+        ctx.addIssue({
+            code:"custom",
+            message:"Time ranges must not overlap",
+            path:["ranges"],
+        });
+    }
+})
+
 export const availabilitySchema = z.object({
     monday:daySchema,
     tuesday:daySchema,
@@ -52,12 +292,101 @@ export const availabilitySchema = z.object({
     saturday:daySchema,
     sunday:daySchema,
     timeGap:z.number().int().min(0,"Time gap must be greater than zero"),
+    timeZone:z.string().refine(isValidTimeZone,{message:"Select a valid time zone"}),
 });
 
+export const dateOverrideSchema = z.object({
+    date:z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Pick a date"),
+    isAvailable:z.boolean(),
+    startTime:z.string().optional(),
+    endTime:z.string().optional(),
+    reason:z.string().max(100, {message: "Reason must be at most 100 characters long"}).optional(),
+}).refine((data)=>{
+    if(data.isAvailable){
+        return !!data.startTime && !!data.endTime && data.startTime < data.endTime;
+    }
+    return true;
+},{
+    message:"Start time must be before end time",
+    path:["endTime"],
+}
+)
+
+export const calDavConnectionSchema = z.object({
+    serverUrl:z.url({protocol:/^https?$/, message:"Enter the URL of your CalDAV calendar"})
+    .refine((url)=>!isPrivateHostname(new URL(url).hostname), {message: "Use a public URL, not a local or private network address"}),
+    username:z.string().min(1,"Username is required"),
+    password:z.string().min(1,"Password is required"),
+})
+
+export const teamSchema = z.object({
+    name:z.string().trim().min(2,"Team name must be at least 2 characters long").max(50,"Team name must be at most 50 characters long"),
+})
+
+export const teamMemberSchema = z.object({
+    username:z.string().trim().min(1,"Username is required"),
+})
+
+export const teamMemberWeightSchema = z.object({
+    weight:z
+    .number()
+    .int({message: "Weight must be an integer"})
+    .min(1, {message: "Weight must be at least 1"})
+    .max(100, {message: "Weight must be at most 100"}),
+})
+
+export const webhookSchema = z.object({
+    url:z.url({protocol:/^https?$/, message:"Enter a valid http(s) URL"})
+    .max(2000, {message: "URL must be at most 2000 characters long"})
+    .refine((url)=>!isPrivateHostname(new URL(url).hostname), {message: "Use a public URL, not a local or private network address"}),
+    // Empty for all of the user's events.
+    eventId:z.string().optional(),
+    triggers:z.array(z.enum(WEBHOOK_TRIGGER_VALUES)).min(1, {message: "Pick at least one update to send"}),
+})
+
 export const bookingSchema = z.object({
   name: z.string().min(1, "Name is required"),
   email: z.string().email("Invalid email"), // ← Changed: pass message directly as string
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Invalid date format"),
   time: z.string().regex(/^\d{2}:\d{2}$/, "Invalid time format"),
   additionalInfo: z.string().optional(),
-});
\ No newline at end of file
+  location: z
+    .string()
+    .max(200, "Location must be at most 200 characters long")
+    .optional(),
+});
+
+// What createBooking accepts from the booking page. The end time is always
+// derived on the server from the event's duration.
+export const bookingRequestSchema = bookingSchema
+  .pick({ name: true, email: true, additionalInfo: true, location: true })
+  .extend({
+    eventId: z.string().min(1, "Event is required"),
+    startTime: z.iso.datetime({ message: "Invalid start time" }),
+    timeZone: z.string().optional(),
+    holdId: z.string().optional(),
+    // Checked against the event's own questions in createBooking.
+    answers: z.record(z.string(), z.unknown()).optional(),
+  });
+
+// What rescheduleBooking accepts from the invitee's manage page.
+export const rescheduleRequestSchema = z.object({
+  token: z.string().min(1, "Booking link is invalid"),
+  startTime: z.iso.datetime({ message: "Invalid start time" }),
+  timeZone: z.string().optional(),
+  holdId: z.string().optional(),
+});
+
+// What holdSlot accepts from the booking page.
+export const slotHoldRequestSchema = z.object({
+  eventId: z.string().min(1, "Event is required"),
+  startTime: z.iso.datetime({ message: "Invalid start time" }),
+  rescheduleToken: z.string().optional(),
+});
+
+export const cancellationSchema = z.object({
+  reason: z
+    .string()
+    .max(500, "Reason must be at most 500 characters long")
+    .optional(),
+});
@@ -0,0 +1,46 @@
+"use client"
+
+import * as React from "react"
+import EventForm from "./event-form"
+
+import { Button } from "@/components/ui/button"
+import {
+  Drawer,
+  DrawerClose,
+  DrawerContent,
+  DrawerFooter,
+  DrawerHeader,
+  DrawerTitle,
+
+} from "@/components/ui/drawer"
+
+
+export function EditEventDrawer({event,isOpen,onClose}) {
+  return (
+    <Drawer open={isOpen}>
+
+      <DrawerContent>
+        <div className="mx-auto w-full max-w-sm">
+          <DrawerHeader>
+            <DrawerTitle>Edit Event</DrawerTitle>
+
+          </DrawerHeader>
+
+          {/* Only mounted while open, so the form starts from the saved event */}
+          {isOpen && (
+            <EventForm
+              event={event}
+              onSubmitForm={onClose}
+            />
+          )}
+          <DrawerFooter>
+
+            <DrawerClose asChild>
+              <Button variant="outline" onClick={onClose}>Cancel</Button>
+            </DrawerClose>
+          </DrawerFooter>
+        </div>
+      </DrawerContent>
+    </Drawer>
+  )
+}
@@ -10,19 +10,21 @@ import {
   CardTitle,
 } from "@/components/ui/card"
 import { Button } from './ui/button'
-import { Link,Trash2 } from 'lucide-react'
+import { Link,Pencil,Trash2 } from 'lucide-react'
 import { useRouter } from 'next/navigation'
 import useFetch from '@/hooks/use-fetch'
 import { deleteEvent } from '@/actions/events'
+import { EditEventDrawer } from './edit-event'
 
 
 const EventCard = ({event,username,isPublic = false}) => {
     const [isCopied,setIsCopied] = React.useState(false);
+    const [isEditing,setIsEditing] = React.useState(false);
     const router = useRouter();
 
     const handleCopy = async() => {
         try {
-            await navigator.clipboard.writeText(`${window.location.origin}/${username}/${event.id}`);
+            await navigator.clipboard.writeText(`${window.location.origin}/${username}/${event.slug}`);
             setIsCopied(true);
             setTimeout(() => {
                 setIsCopied(false);
@@ -43,14 +45,17 @@ const EventCard = ({event,username,isPublic = false}) => {
     const handleCardClick = (e) => {
         if (e.target.tagName !== "BUTTON" && e.target.tagName !== "SVG") {
         window?.open(
-            `${window?.location.origin}/${username}/${event.id}`,
+            `${window?.location.origin}/${username}/${event.slug}`,
             "_blank"
         );
         }
     };
 
 
+    // The drawer sits outside the card: events from its portal still bubble
+    // through the React tree and would open the booking page.
     return(
+        <>
         <Card className='flex flex-col justify-between cursor-pointer' onClick={handleCardClick}>
             <CardHeader>
                 <CardTitle className='text-2xl'>{event.title}</CardTitle>
@@ -80,12 +85,18 @@ const EventCard = ({event,username,isPublic = false}) => {
                         <Link className='mr-2 h-4 w-4'/>{
                             isCopied ? "Link Copied" : "Copy Link"
                         }</Button>
+                    <Button variant="outline" onClick={() => setIsEditing(true)} className='flex items-center'>
+                        <Pencil className='mr-2 h-4 w-4'/>Edit</Button>
                     <Button variant="destructive" onClick={handleDelete} disabled={loading} className='flex items-center'>
                         <Trash2 className='mr-2 h-4 w-4'/>{loading?"Deleting..." : "Delete"}</Button>
                 </CardFooter>
             )}
             
             </Card>
+            {!isPublic && (
+                <EditEventDrawer event={event} isOpen={isEditing} onClose={() => setIsEditing(false)}/>
+            )}
+        </>
      )
 }
 
@@ -1,7 +1,7 @@
 "use client"
 import { useRouter } from 'next/navigation'
 import { zodResolver } from '@hookform/resolvers/zod'
-import React from 'react'
+import React, { useEffect } from 'react'
 import { Controller, useForm } from 'react-hook-form'
 import { eventSchema } from '@/app/lib/validators'
 import { Input } from './ui/input'
@@ -13,24 +13,98 @@ import {
   SelectValue,
 } from "@/components/ui/select"
 import { Button } from './ui/button'
-import { createEvent } from '@/actions/events'
+import { Checkbox } from './ui/checkbox'
+import { createEvent, updateEvent } from '@/actions/events'
+import { getUserTeams } from '@/actions/teams'
 import useFetch from '@/hooks/use-fetch'
+import { LOCATION_TYPES } from '@/lib/locations'
+import { DEFAULT_REMINDER_OFFSETS, REMINDER_OFFSETS } from '@/lib/reminders'
+import { MAX_EVENT_DURATION, MIN_EVENT_DURATION, SLOT_INTERVAL_OPTIONS } from '@/lib/slots'
+import EventQuestionsEditor from './event-questions-editor'
 
-const EventForm = ({onSubmitForm}) => {
+// Form values for an existing event, as stored in the database.
+const toFormValues = (event) => ({
+  title:event.title,
+  slug:event.slug,
+  description:event.description ?? "",
+  duration:event.duration,
+  seats:event.seats,
+  slotInterval:event.slotInterval,
+  bufferBefore:event.bufferBefore,
+  bufferAfter:event.bufferAfter,
+  bookingWindowType:event.bookingWindowType,
+  bookingWindowDays:event.bookingWindowDays,
+  bookingWindowStart:event.bookingWindowStart ? new Date(event.bookingWindowStart).toISOString().slice(0,10) : "",
+  bookingWindowEnd:event.bookingWindowEnd ? new Date(event.bookingWindowEnd).toISOString().slice(0,10) : "",
+  minimumNotice:event.minimumNotice,
+  minimumNoticeUnit:event.minimumNoticeUnit,
+  locationType:event.locationType,
+  locationValue:event.locationValue ?? "",
+  requiresConfirmation:event.requiresConfirmation,
+  pendingExpiryHours:event.pendingExpiryHours,
+  questions:event.questions ?? [],
+  reminderOffsets:event.reminderOffsets ?? [],
+  kind:event.kind,
+  teamId:event.teamId ?? undefined,
+  hostIds:event.hosts?.map((host) => host.userId) ?? [],
+  assignment:event.assignment,
+  isPrivate:event.isPrivate,
+})
+
+// Creates a new event, or edits `event` when one is given.
+const EventForm = ({event,onSubmitForm}) => {
   const router = useRouter();
-  const {register,handleSubmit,control,formState:{errors}} = useForm({
+  const isEditing = !!event;
+  const {register,handleSubmit,control,watch,formState:{errors}} = useForm({
     resolver:zodResolver(eventSchema),
-    defaultValues:{
+    defaultValues:isEditing ? toFormValues(event) : {
+      slug:"",
       duration:30,
+      seats:1,
+      slotInterval:null,
+      bufferBefore:0,
+      bufferAfter:0,
+      bookingWindowType:"ROLLING",
+      bookingWindowDays:30,
+      bookingWindowStart:"",
+      bookingWindowEnd:"",
+      minimumNotice:0,
+      minimumNoticeUnit:"HOURS",
+      locationType:"GOOGLE_MEET",
+      locationValue:"",
+      requiresConfirmation:false,
+      pendingExpiryHours:24,
+      questions:[],
+      reminderOffsets:DEFAULT_REMINDER_OFFSETS,
+      kind:"ONE_ON_ONE",
+      hostIds:[],
+      assignment:"LEAST_BOOKED",
       isPrivate:true,
     },
   })
 
-  const {loading,error,fn:fnCreateEvent} = useFetch(createEvent);
+  const bookingWindowType = watch("bookingWindowType");
+  const locationType = watch("locationType");
+  const locationValueLabel = LOCATION_TYPES[locationType]?.valueLabel;
+  const requiresConfirmation = watch("requiresConfirmation");
+  const kind = watch("kind");
+  const teamId = watch("teamId");
+
+  // Round-robin and collective events need a team, so the choice only shows for team members.
+  const {data:userTeams,fn:fnGetTeams} = useFetch(getUserTeams);
+  const teams = userTeams?.filter((team) => team.acceptedAt);
+  useEffect(() => {
+    fnGetTeams();
+  },[])
+
+  const {loading,error,fn:fnSaveEvent} = useFetch(
+    isEditing ? (data) => updateEvent(event.id,data) : createEvent
+  );
 
   const onSubmit = async (data) =>{
-    await fnCreateEvent(data);
-    if(!loading && !error){
+    // The form stays open on errors, so they can be read and fixed.
+    const saved = await fnSaveEvent(data);
+    if(saved){
       onSubmitForm()
     }
     router.refresh();
@@ -52,6 +126,24 @@ const EventForm = ({onSubmitForm}) => {
 
       </div>
 
+      <div>
+        <label htmlFor="slug"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Event Link
+        </label>
+        <Input id="slug" {...register("slug")} placeholder="Made from the title if left empty" className ='mt-1'/>
+        {errors.slug && (
+          <p className='text-sm text-red-600 mt-1'>{errors.slug.message}</p>
+        )}
+        {isEditing && (
+          <p className='text-sm text-gray-500 mt-1'>
+            Changing the link breaks links you have already shared.
+          </p>
+        )}
+
+      </div>
+
       <div>
         <label htmlFor="description"
         className='block text-sm font-medium text-gray-700'
@@ -76,13 +168,435 @@ const EventForm = ({onSubmitForm}) => {
             valueAsNumber: true
          })}
          type={"number"}
+         min={MIN_EVENT_DURATION}
+         max={MAX_EVENT_DURATION}
          className ='mt-1'/>
         {errors.duration && (
           <p className='text-sm text-red-600 mt-1'>{errors.duration.message}</p>
         )}
+        {isEditing && (
+          <p className='text-sm text-gray-500 mt-1'>
+            Existing bookings keep their current times.
+          </p>
+        )}
         
       </div>
 
+      <div>
+        <label htmlFor="seats"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Seats Per Time Slot
+        </label>
+        <Input id="seats"
+         {...register("seats",{
+            valueAsNumber: true
+         })}
+         type={"number"}
+         min={1}
+         className ='mt-1'/>
+        <p className='text-sm text-gray-500 mt-1'>
+          More than 1 lets several invitees join the same meeting.
+        </p>
+        {errors.seats && (
+          <p className='text-sm text-red-600 mt-1'>{errors.seats.message}</p>
+        )}
+
+      </div>
+
+      <div>
+        <label htmlFor="slotInterval"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Start Times Every
+        </label>
+
+        <Controller
+        name='slotInterval'
+        control={control}
+        render={({field}) => (
+          <Select
+          value={field.value ? String(field.value) : "duration"}
+          onValueChange={(value) => field.onChange(value === "duration" ? null : Number(value))}
+          >
+                <SelectTrigger id="slotInterval" className="mt-1">
+                  <SelectValue placeholder="Select Slot Interval" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="duration">Same as duration</SelectItem>
+                  {SLOT_INTERVAL_OPTIONS.map((minutes) => (
+                    <SelectItem key={minutes} value={String(minutes)}>{minutes} mins</SelectItem>
+                  ))}
+                </SelectContent>
+          </Select>
+        )}
+        />
+        {errors.slotInterval && (
+          <p className='text-sm text-red-600 mt-1'>{errors.slotInterval.message}</p>
+        )}
+      </div>
+
+      <div className='grid grid-cols-2 gap-4'>
+        <div>
+          <label htmlFor="bufferBefore"
+          className='block text-sm font-medium text-gray-700'
+          >
+            Buffer Before (mins)
+          </label>
+          <Input id="bufferBefore"
+           {...register("bufferBefore",{
+              valueAsNumber: true
+           })}
+           type={"number"}
+           min={0}
+           className ='mt-1'/>
+          {errors.bufferBefore && (
+            <p className='text-sm text-red-600 mt-1'>{errors.bufferBefore.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="bufferAfter"
+          className='block text-sm font-medium text-gray-700'
+          >
+            Buffer After (mins)
+          </label>
+          <Input id="bufferAfter"
+           {...register("bufferAfter",{
+              valueAsNumber: true
+           })}
+           type={"number"}
+           min={0}
+           className ='mt-1'/>
+          {errors.bufferAfter && (
+            <p className='text-sm text-red-600 mt-1'>{errors.bufferAfter.message}</p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="bookingWindowType"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Booking Window
+        </label>
+
+        <Controller
+        name='bookingWindowType'
+        control={control}
+        render={({field}) => (
+          <Select
+          value={field.value}
+          onValueChange={field.onChange}
+          >
+                <SelectTrigger id="bookingWindowType" className="mt-1">
+                  <SelectValue placeholder="Select Booking Window" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="ROLLING">Next number of days</SelectItem>
+                  <SelectItem value="DATE_RANGE">Within a date range</SelectItem>
+                  <SelectItem value="INDEFINITE">Indefinitely into the future</SelectItem>
+                </SelectContent>
+          </Select>
+        )}
+        />
+
+        {bookingWindowType === "ROLLING" && (
+          <Input
+           {...register("bookingWindowDays",{
+              valueAsNumber: true
+           })}
+           type={"number"}
+           min={1}
+           aria-label="Days into the future"
+           className ='mt-2'/>
+        )}
+
+        {bookingWindowType === "DATE_RANGE" && (
+          <div className='grid grid-cols-2 gap-4 mt-2'>
+            <Input type="date" aria-label="First bookable date" {...register("bookingWindowStart")}/>
+            <Input type="date" aria-label="Last bookable date" {...register("bookingWindowEnd")}/>
+          </div>
+        )}
+
+        {errors.bookingWindowDays && (
+          <p className='text-sm text-red-600 mt-1'>{errors.bookingWindowDays.message}</p>
+        )}
+        {errors.bookingWindowStart && (
+          <p className='text-sm text-red-600 mt-1'>{errors.bookingWindowStart.message}</p>
+        )}
+        {errors.bookingWindowEnd && (
+          <p className='text-sm text-red-600 mt-1'>{errors.bookingWindowEnd.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="minimumNotice"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Minimum Notice
+        </label>
+        <div className='grid grid-cols-2 gap-4 mt-1'>
+          <Input id="minimumNotice"
+           {...register("minimumNotice",{
+              valueAsNumber: true
+           })}
+           type={"number"}
+           min={0}/>
+
+          <Controller
+          name='minimumNoticeUnit'
+          control={control}
+          render={({field}) => (
+            <Select
+            value={field.value}
+            onValueChange={field.onChange}
+            >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Unit" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="HOURS">Hours</SelectItem>
+                    <SelectItem value="DAYS">Days</SelectItem>
+                  </SelectContent>
+            </Select>
+          )}
+          />
+        </div>
+        {errors.minimumNotice && (
+          <p className='text-sm text-red-600 mt-1'>{errors.minimumNotice.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="locationType"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Location
+        </label>
+
+        <Controller
+        name='locationType'
+        control={control}
+        render={({field}) => (
+          <Select
+          value={field.value}
+          onValueChange={field.onChange}
+          >
+                <SelectTrigger id="locationType" className="mt-1">
+                  <SelectValue placeholder="Select Location" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(LOCATION_TYPES).map(([value,{label}]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+          </Select>
+        )}
+        />
+
+        {locationValueLabel && (
+          <Input
+           {...register("locationValue")}
+           placeholder={locationValueLabel}
+           aria-label={locationValueLabel}
+           className ='mt-2'/>
+        )}
+
+        {errors.locationType && (
+          <p className='text-sm text-red-600 mt-1'>{errors.locationType.message}</p>
+        )}
+        {errors.locationValue && (
+          <p className='text-sm text-red-600 mt-1'>{errors.locationValue.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label htmlFor="requiresConfirmation"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Confirmation
+        </label>
+
+        <Controller
+        name='requiresConfirmation'
+        control={control}
+        render={({field}) => (
+          <Select
+          value={field.value?"true":"false"}
+          onValueChange={(value) => field.onChange(value === "true")}
+          >
+                <SelectTrigger id="requiresConfirmation" className="mt-1">
+                  <SelectValue placeholder="Select Confirmation" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="false">Confirm bookings automatically</SelectItem>
+                  <SelectItem value="true">I approve each booking</SelectItem>
+                </SelectContent>
+          </Select>
+        )}
+        />
+
+        {requiresConfirmation && (
+          <Input
+           {...register("pendingExpiryHours",{
+              valueAsNumber: true
+           })}
+           type={"number"}
+           min={1}
+           aria-label="Hours before unanswered requests expire"
+           placeholder="Hours before unanswered requests expire"
+           className ='mt-2'/>
+        )}
+
+        {errors.pendingExpiryHours && (
+          <p className='text-sm text-red-600 mt-1'>{errors.pendingExpiryHours.message}</p>
+        )}
+      </div>
+
+      <div>
+        <label className='block text-sm font-medium text-gray-700'>
+          Reminders
+        </label>
+        <p className='text-sm text-gray-500 mb-2'>
+          Invitees get an email before their meeting.
+        </p>
+
+        <Controller
+        name='reminderOffsets'
+        control={control}
+        render={({field}) => (
+          <div className='space-y-1'>
+            {Object.entries(REMINDER_OFFSETS).map(([offset,label]) => (
+              <label key={offset} className='flex items-center gap-2 text-sm'>
+                <Checkbox
+                checked={field.value?.includes(Number(offset))}
+                onCheckedChange={(checked) => field.onChange(
+                  checked
+                    ? [...(field.value ?? []), Number(offset)]
+                    : field.value.filter((value) => value !== Number(offset))
+                )}/>
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        )}
+        />
+
+        {errors.reminderOffsets && (
+          <p className='text-sm text-red-600 mt-1'>{errors.reminderOffsets.message}</p>
+        )}
+      </div>
+
+      <EventQuestionsEditor control={control} register={register} errors={errors}/>
+
+      {(teams?.length > 0 || kind !== "ONE_ON_ONE") && (
+      <div>
+        <label htmlFor="kind"
+        className='block text-sm font-medium text-gray-700'
+        >
+          Hosts
+        </label>
+
+        <Controller
+        name='kind'
+        control={control}
+        render={({field}) => (
+          <Select
+          value={field.value}
+          onValueChange={field.onChange}
+          >
+                <SelectTrigger id="kind" className="mt-1">
+                  <SelectValue placeholder="Select Hosts" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="ONE_ON_ONE">Only me</SelectItem>
+                  <SelectItem value="ROUND_ROBIN">Round robin across a team</SelectItem>
+                  <SelectItem value="COLLECTIVE">Several team members together</SelectItem>
+                </SelectContent>
+          </Select>
+        )}
+        />
+
+        {kind !== "ONE_ON_ONE" && (
+          <div className='grid grid-cols-2 gap-4 mt-2'>
+            <Controller
+            name='teamId'
+            control={control}
+            render={({field}) => (
+              <Select
+              value={field.value}
+              onValueChange={field.onChange}
+              >
+                    <SelectTrigger aria-label="Team">
+                      <SelectValue placeholder="Team" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(teams ?? []).map((team) => (
+                        <SelectItem key={team.id} value={team.id}>{team.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+              </Select>
+            )}
+            />
+
+            {kind === "ROUND_ROBIN" && (
+            <Controller
+            name='assignment'
+            control={control}
+            render={({field}) => (
+              <Select
+              value={field.value}
+              onValueChange={field.onChange}
+              >
+                    <SelectTrigger aria-label="Assign bookings">
+                      <SelectValue placeholder="Assign bookings" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="LEAST_BOOKED">Fewest bookings</SelectItem>
+                      <SelectItem value="WEIGHTED">By member weights</SelectItem>
+                    </SelectContent>
+              </Select>
+            )}
+            />
+            )}
+          </div>
+        )}
+
+        {kind === "COLLECTIVE" && teamId && (
+          <Controller
+          name='hostIds'
+          control={control}
+          render={({field}) => (
+            <div className='mt-2 space-y-1'>
+              {(teams ?? []).find((team) => team.id === teamId)?.members
+                .filter((member) => member.acceptedAt)
+                .map((member) => (
+                <label key={member.user.id} className='flex items-center gap-2 text-sm'>
+                  <Checkbox
+                  checked={field.value?.includes(member.user.id)}
+                  onCheckedChange={(checked) => field.onChange(
+                    checked
+                      ? [...(field.value ?? []), member.user.id]
+                      : field.value.filter((id) => id !== member.user.id)
+                  )}/>
+                  <span>{member.user.name}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          />
+        )}
+        {errors.hostIds && (
+          <p className='text-sm text-red-600 mt-1'>{errors.hostIds.message}</p>
+        )}
+
+        {errors.teamId && (
+          <p className='text-sm text-red-600 mt-1'>{errors.teamId.message}</p>
+        )}
+      </div>
+      )}
+
       <div>
         <label htmlFor="isPrivate"
         className='block text-sm font-medium text-gray-700'
@@ -121,7 +635,7 @@ const EventForm = ({onSubmitForm}) => {
         )}
         <Button type='submit' className='mt-4'
         disabled={loading}
-        >{loading ? "Submitting...":"Cretae Event"}</Button>
+        >{loading ? "Submitting...":isEditing ? "Save Changes" : "Cretae Event"}</Button>
     </form>
   )
 }
@@ -0,0 +1,155 @@
+"use client"
+import React, { useState } from 'react'
+import { Controller, useFieldArray, useWatch } from 'react-hook-form'
+import { Plus, Trash2 } from 'lucide-react'
+import { Input } from './ui/input'
+import { Textarea } from './ui/textarea'
+import { Checkbox } from './ui/checkbox'
+import { Button } from './ui/button'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { MAX_QUESTIONS, QUESTION_TYPES } from '@/lib/questions'
+
+// Empty length fields mean "no rule" rather than NaN.
+const toOptionalNumber = (value) => value === "" || value === null ? undefined : Number(value);
+
+const newQuestion = () => ({
+  id:`q_${crypto.randomUUID().slice(0,8)}`,
+  type:"SHORT_TEXT",
+  label:"",
+  required:false,
+  options:[],
+})
+
+// Options are edited one per line; the text is kept as typed and the field
+// gets the cleaned-up list.
+const OptionsInput = ({value,onChange}) => {
+  const [text,setText] = useState((value ?? []).join("\n"));
+
+  return (
+    <Textarea
+    value={text}
+    placeholder="One option per line"
+    onChange={(e) => {
+      setText(e.target.value);
+      onChange(e.target.value.split("\n").map((option) => option.trim()).filter(Boolean));
+    }}
+    />
+  )
+}
+
+const QuestionEditor = ({index,control,register,errors,onRemove}) => {
+  const type = useWatch({control,name:`questions.${index}.type`});
+  const {hasOptions,hasLength} = QUESTION_TYPES[type] ?? {};
+  const questionErrors = errors?.questions?.[index];
+
+  return (
+    <div className='border rounded-md p-3 space-y-2'>
+      <div className='flex items-center gap-2'>
+        <Input placeholder="Question" {...register(`questions.${index}.label`)}/>
+        <Button type="button" variant="ghost" size="icon" aria-label="Remove question" onClick={onRemove}>
+          <Trash2 className='h-4 w-4'/>
+        </Button>
+      </div>
+      {questionErrors?.label && (
+        <p className='text-sm text-red-600'>{questionErrors.label.message}</p>
+      )}
+
+      <div className='flex flex-wrap items-center gap-4'>
+        <Controller
+        name={`questions.${index}.type`}
+        control={control}
+        render={({field}) => (
+          <Select value={field.value} onValueChange={field.onChange}>
+                <SelectTrigger className="w-44">
+                  <SelectValue placeholder="Answer type" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(QUESTION_TYPES).map(([value,{label}]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+          </Select>
+        )}
+        />
+
+        <Controller
+        name={`questions.${index}.required`}
+        control={control}
+        render={({field}) => (
+          <label className='flex items-center gap-2 text-sm'>
+            <Checkbox checked={field.value}
+            onCheckedChange={(checked) => field.onChange(!!checked)}/>
+            <span>Required</span>
+          </label>
+        )}
+        />
+      </div>
+
+      {hasOptions && (
+        <Controller
+        name={`questions.${index}.options`}
+        control={control}
+        render={({field}) => (
+          <OptionsInput value={field.value} onChange={field.onChange}/>
+        )}
+        />
+      )}
+      {questionErrors?.options && (
+        <p className='text-sm text-red-600'>{questionErrors.options.message}</p>
+      )}
+
+      {hasLength && (
+        <div className='grid grid-cols-2 gap-4'>
+          <Input type="number" min={0} placeholder="Min length"
+          {...register(`questions.${index}.minLength`,{setValueAs:toOptionalNumber})}/>
+          <Input type="number" min={0} placeholder="Max length"
+          {...register(`questions.${index}.maxLength`,{setValueAs:toOptionalNumber})}/>
+        </div>
+      )}
+      {questionErrors?.maxLength && (
+        <p className='text-sm text-red-600'>{questionErrors.maxLength.message}</p>
+      )}
+    </div>
+  )
+}
+
+// Editor for the extra questions invitees answer when booking an event.
+const EventQuestionsEditor = ({control,register,errors}) => {
+  const {fields,append,remove} = useFieldArray({control,name:"questions"});
+
+  return (
+    <div>
+      <label className='block text-sm font-medium text-gray-700'>
+        Booking Questions
+      </label>
+      <p className='text-sm text-gray-500 mb-2'>
+        Invitees are always asked for their name and email.
+      </p>
+
+      <div className='space-y-3'>
+        {fields.map((field,index) => (
+          <QuestionEditor key={field.id} index={index} control={control}
+          register={register} errors={errors} onRemove={() => remove(index)}/>
+        ))}
+      </div>
+
+      {errors?.questions?.message && (
+        <p className='text-sm text-red-600 mt-1'>{errors.questions.message}</p>
+      )}
+
+      {fields.length < MAX_QUESTIONS && (
+        <Button type="button" variant="outline" className='mt-2' onClick={() => append(newQuestion())}>
+          <Plus className='h-4 w-4'/> Add Question
+        </Button>
+      )}
+    </div>
+  )
+}
+
+export default EventQuestionsEditor
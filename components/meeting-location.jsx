@@ -0,0 +1,40 @@
+import { MapPin, Phone, Video } from "lucide-react";
+import { getLocationLabel } from "@/lib/locations";
+
+// Where a booked meeting takes place: a join link for video calls, or the
+// phone number / address otherwise.
+export default function MeetingLocation({ booking, className = "" }) {
+  const { locationType, location, meetLink } = booking;
+
+  if (meetLink) {
+    return (
+      <div className={`flex items-center ${className}`}>
+        <Video className="mr-2 h-4 w-4" />
+        <a
+          href={meetLink}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-500 hover:underline"
+        >
+          Join Meeting
+        </a>
+        <span className="ml-1 text-sm text-gray-500">
+          ({getLocationLabel(locationType)})
+        </span>
+      </div>
+    );
+  }
+
+  if (!location) {
+    return null;
+  }
+
+  const Icon = locationType === "PHONE" ? Phone : MapPin;
+
+  return (
+    <div className={`flex items-center ${className}`}>
+      <Icon className="mr-2 h-4 w-4" />
+      <span>{location}</span>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 // const { set } = require("zod");
 import { useState } from "react";
 
+// `fn` resolves to the callback's result, or to undefined when it failed
+// (the error is in `error`).
 const useFetch = (cb) => {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -13,7 +15,8 @@ const useFetch = (cb) => {
             const response = await cb(...args);
             setData(response);
             setError(null);
-            
+            return response;
+
         } catch (error) {
             setError(error);
         }finally {
@@ -0,0 +1,335 @@
+import { addHours } from "date-fns";
+import { db } from "@/lib/prisma";
+import { getCalendarProvider } from "@/lib/calendar";
+import { createSignedToken, verifySignedToken } from "@/lib/secrets";
+import {
+  notifyBookingCancelled,
+  notifyBookingExpired,
+  notifyBookingReminder,
+} from "@/lib/notifications";
+import { cancelBookingJobs, enqueueJobs } from "@/lib/jobs";
+import { getReminderTimes } from "@/lib/reminders";
+import { triggerWebhooks } from "@/lib/webhooks";
+import { formatAnswer } from "@/lib/questions";
+
+// Bookings in these statuses are going ahead. Everything else (cancelled,
+// rescheduled, ...) is kept for history only.
+export const ACTIVE_BOOKING_STATUSES = ["CONFIRMED"];
+
+// Bookings that can still be called off, by the host or the invitee.
+export const CANCELLABLE_BOOKING_STATUSES = [...ACTIVE_BOOKING_STATUSES, "PENDING"];
+
+// Prisma filter for bookings that occupy their time slot: active ones, and
+// pending requests until they expire.
+export function slotHoldingBookingsWhere(now = new Date()) {
+  return {
+    OR: [
+      { status: { in: ACTIVE_BOOKING_STATUSES } },
+      { status: "PENDING", expiresAt: { gt: now } },
+    ],
+  };
+}
+
+// Statuses a host can set on a meeting that has already taken place.
+export const PAST_BOOKING_STATUSES = ["COMPLETED", "NO_SHOW"];
+
+const MANAGE_TOKEN_PURPOSE = "manage-booking";
+
+// Invitees manage their booking through a link carrying this token instead
+// of an account. It is derived from the booking id, so it never needs to be
+// stored and can't be guessed without APP_SECRET.
+export function getBookingManageToken(bookingId) {
+  return createSignedToken(MANAGE_TOKEN_PURPOSE, bookingId);
+}
+
+// The booking id a manage token was issued for, or null.
+export function getBookingIdFromManageToken(token) {
+  return verifySignedToken(MANAGE_TOKEN_PURPOSE, token);
+}
+
+// Absolute when NEXT_PUBLIC_APP_URL is set, otherwise relative to the site.
+export function getBookingManageUrl(bookingId) {
+  const baseUrl = process.env.NEXT_PUBLIC_APP_URL?.replace(/\/$/, "") ?? "";
+  return `${baseUrl}/booking/${getBookingManageToken(bookingId)}`;
+}
+
+// A booking's own calendar event shows up in the host's busy times; drop it
+// while that booking is being rescheduled.
+export function withoutBookingBusyTime(busyTimes, booking) {
+  if (!booking) {
+    return busyTimes;
+  }
+
+  return busyTimes.filter(
+    ({ startTime, endTime }) =>
+      startTime.getTime() !== booking.startTime.getTime() ||
+      endTime.getTime() !== booking.endTime.getTime()
+  );
+}
+
+// Cancels bookings, removes them from the host's calendar and emails the
+// invitees and hosts. `bookings`
+// need their `event` and `user` loaded. Bookings that can no longer be
+// cancelled are left untouched, so cancelling twice is harmless. Returns the
+// number of bookings cancelled.
+export async function cancelBookings(bookings, { cancelledBy, reason }) {
+  const now = new Date();
+  const activeBookings = bookings.filter((booking) =>
+    CANCELLABLE_BOOKING_STATUSES.includes(booking.status)
+  );
+
+  const { count } = await db.booking.updateMany({
+    where: {
+      id: { in: activeBookings.map((booking) => booking.id) },
+      status: { in: CANCELLABLE_BOOKING_STATUSES },
+    },
+    data: {
+      status: "CANCELLED",
+      statusChangedAt: now,
+      cancelledAt: now,
+      cancelledBy,
+      cancellationReason: reason || null,
+    },
+  });
+
+  // Seats of one slot share a calendar event, which only needs removing
+  // once.
+  await cancelBookingJobs(activeBookings.map((booking) => booking.id));
+
+  const removedCalendarEventIds = new Set();
+  for (const booking of activeBookings) {
+    if (!removedCalendarEventIds.has(booking.calendarEventId)) {
+      removedCalendarEventIds.add(booking.calendarEventId);
+      await removeBookingFromCalendar(booking);
+    }
+  }
+
+  for (const booking of activeBookings) {
+    const cancelled = {
+      ...booking,
+      status: "CANCELLED",
+      cancelledBy,
+      cancellationReason: reason || null,
+    };
+    await notifyBookingCancelled(cancelled);
+    await triggerWebhooks("booking.cancelled", cancelled);
+  }
+
+  return count;
+}
+
+// Puts a confirmed booking into the host's calendar and returns the fields
+// that record where: { calendarEventId, calendarProvider, meetLink }. On
+// events with several seats, the bookings of one slot share the calendar
+// event (and meeting link) of the slot's first booking, with every invitee
+// as an attendee. `coHosts` are invited along (collective events). Pass the
+// transaction client when called inside one.
+export async function addBookingToCalendar(
+  booking,
+  event,
+  host,
+  { calendar, requestConference = false, coHosts = [], client = db }
+) {
+  if (event.seats > 1) {
+    const seats = await client.booking.findMany({
+      where: {
+        eventId: event.id,
+        startTime: booking.startTime,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        calendarEventId: { not: null },
+        id: { not: booking.id },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (seats.length > 0) {
+      const [first] = seats;
+      const seatCalendar = await getCalendarProvider(host, first.calendarProvider);
+      await seatCalendar.updateEvent(
+        first.calendarEventId,
+        getSeatedCalendarEventDetails([...seats, booking], event, host)
+      );
+
+      return {
+        calendarEventId: first.calendarEventId,
+        calendarProvider: first.calendarProvider,
+        meetLink: first.meetLink ?? booking.meetLink,
+      };
+    }
+  }
+
+  const details =
+    event.seats > 1
+      ? getSeatedCalendarEventDetails([booking], event, host)
+      : getCalendarEventDetails(booking, event, host, coHosts);
+  const { eventId, meetLink } = await calendar.createEvent({
+    ...details,
+    requestConference,
+  });
+
+  return {
+    calendarEventId: eventId,
+    calendarProvider: calendar.name,
+    meetLink: meetLink ?? booking.meetLink,
+  };
+}
+
+// Takes a booking (with its `event` and `user`) off the host's calendar.
+// A seat is only dropped from the attendees while others still share the
+// calendar event. Calendar failures are logged only; the booking changes
+// either way.
+export async function removeBookingFromCalendar(booking, { client = db } = {}) {
+  if (!booking.calendarEventId) {
+    return;
+  }
+
+  try {
+    const calendar = await getCalendarProvider(
+      booking.user,
+      booking.calendarProvider
+    );
+    const otherSeats =
+      booking.event.seats > 1
+        ? await client.booking.findMany({
+            where: {
+              userId: booking.userId,
+              calendarEventId: booking.calendarEventId,
+              status: { in: ACTIVE_BOOKING_STATUSES },
+              id: { not: booking.id },
+            },
+            orderBy: { createdAt: "asc" },
+          })
+        : [];
+
+    if (otherSeats.length > 0) {
+      await calendar.updateEvent(
+        booking.calendarEventId,
+        getSeatedCalendarEventDetails(otherSeats, booking.event, booking.user)
+      );
+    } else {
+      await calendar.deleteEvent(booking.calendarEventId);
+    }
+  } catch (error) {
+    console.error("Failed to remove calendar event:", error);
+  }
+}
+
+// Enqueues the invitee's reminder emails for a confirmed booking, one per
+// offset in the event's `reminderOffsets`. Pass the transaction client when
+// called inside one.
+export function scheduleBookingReminders(booking, event, { client = db } = {}) {
+  const jobs = getReminderTimes(event.reminderOffsets ?? [], booking.startTime).map(
+    ({ offset, runAt }) => ({
+      type: "BOOKING_REMINDER",
+      runAt,
+      payload: { offset },
+      bookingId: booking.id,
+      key: `reminder:${booking.id}:${offset}`,
+    })
+  );
+
+  return enqueueJobs(jobs, { client });
+}
+
+// Handler of BOOKING_REMINDER jobs. Bookings that were cancelled or moved
+// since get no reminder; the booking that replaced a moved one has its own.
+export async function sendBookingReminder(job) {
+  const booking = await db.booking.findUnique({
+    where: { id: job.bookingId },
+    include: { event: true, user: true },
+  });
+
+  if (booking && ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+    await notifyBookingReminder(booking);
+  }
+}
+
+// A pending request expires after the event's pendingExpiryHours, and at
+// the latest when the meeting would have started.
+export function getPendingExpiry(event, startTime, now = new Date()) {
+  const expiry = addHours(now, event.pendingExpiryHours);
+  return expiry < startTime ? expiry : new Date(startTime);
+}
+
+// Marks pending requests past their expiry as EXPIRED and lets the
+// invitees know. Safe to run concurrently: each booking is only claimed
+// (and notified) once.
+export async function expirePendingBookings(where = {}) {
+  const now = new Date();
+  const expired = await db.booking.findMany({
+    where: { ...where, status: "PENDING", expiresAt: { lte: now } },
+    include: { event: true, user: true },
+  });
+
+  let expiredCount = 0;
+  for (const booking of expired) {
+    const { count } = await db.booking.updateMany({
+      where: { id: booking.id, status: "PENDING" },
+      data: { status: "EXPIRED", statusChangedAt: now },
+    });
+
+    if (count > 0) {
+      expiredCount += 1;
+      const expiredBooking = { ...booking, status: "EXPIRED" };
+      await notifyBookingExpired(expiredBooking);
+      await triggerWebhooks("booking.expired", expiredBooking);
+    }
+  }
+
+  return expiredCount;
+}
+
+// What goes into the host's calendar for a booking. Co-hosts of collective
+// events are invited too.
+export function getCalendarEventDetails(booking, event, host, coHosts = []) {
+  return {
+    uid: booking.calendarEventId ?? booking.id,
+    summary: `${booking.name} - ${event.title}`,
+    description: describeBooking(booking),
+    location: booking.location ?? booking.meetLink,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    attendees: [
+      { name: booking.name, email: booking.email },
+      { name: host.name, email: host.email },
+      ...coHosts.map((coHost) => ({ name: coHost.name, email: coHost.email })),
+    ],
+  };
+}
+
+// The shared calendar event of a slot with several seats. Invitees see the
+// event, not each other's notes, answers or manage links.
+function getSeatedCalendarEventDetails(seats, event, host) {
+  const [first] = seats;
+
+  return {
+    uid: first.calendarEventId ?? first.id,
+    summary: event.title,
+    description: event.description ?? "",
+    location: first.location ?? first.meetLink,
+    startTime: first.startTime,
+    endTime: first.endTime,
+    attendees: [
+      ...seats.map((seat) => ({ name: seat.name, email: seat.email })),
+      { name: host.name, email: host.email },
+    ],
+    hideAttendees: true,
+  };
+}
+
+// The invitee's note and answers plus, when the app URL is known, the link
+// to reschedule or cancel.
+function describeBooking(booking) {
+  const manageUrl = getBookingManageUrl(booking.id);
+  const answers = (booking.answers ?? [])
+    .map((answer) => `${answer.label}: ${formatAnswer(answer)}`)
+    .join("\n");
+
+  return [
+    booking.additionalInfo,
+    answers,
+    manageUrl.startsWith("http") && `Need to make changes? ${manageUrl}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { addBookingToCalendar, removeBookingFromCalendar } from "@/lib/bookings";
+import { getCalendarProvider, getProviderBusyTimes } from "@/lib/calendar";
+import { getFakeCalendarEvents, resetFakeCalendar } from "@/lib/calendar/fake";
+import { assertSlotAvailable } from "@/lib/slots";
+
+// The calendar side of booking, against the in-memory provider. The
+// database is stood in for by `client`, which returns the seats the test
+// says are booked.
+vi.mock("@/lib/prisma", () => ({ db: {} }));
+
+const host = { id: "host-1", name: "Host", email: "host@example.com" };
+const coHost = { id: "host-2", name: "Co-host", email: "cohost@example.com" };
+const availability = {
+  timeZone: "UTC",
+  timeGap: 0,
+  days: [
+    {
+      day: "MONDAY",
+      startTime: new Date("1970-01-01T09:00:00.000Z"),
+      endTime: new Date("1970-01-01T12:00:00.000Z"),
+    },
+  ],
+};
+
+function makeEvent(overrides = {}) {
+  return {
+    id: "event-1",
+    title: "Intro call",
+    description: "Let's talk",
+    duration: 60,
+    bufferBefore: 0,
+    bufferAfter: 0,
+    seats: 1,
+    bookingWindowType: "ROLLING",
+    bookingWindowDays: 30,
+    ...overrides,
+  };
+}
+
+function makeBooking(id, name) {
+  return {
+    id,
+    eventId: "event-1",
+    userId: host.id,
+    name,
+    email: `${name.toLowerCase()}@example.com`,
+    startTime: new Date("2026-03-23T09:00:00Z"),
+    endTime: new Date("2026-03-23T10:00:00Z"),
+    calendarEventId: null,
+    meetLink: null,
+  };
+}
+
+function clientWithSeats(seats) {
+  return { booking: { findMany: async () => seats } };
+}
+
+beforeEach(() => {
+  vi.stubEnv("APP_SECRET", "test-secret");
+  vi.stubEnv("CALENDAR_PROVIDER", "fake");
+  resetFakeCalendar();
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("booking against the fake calendar", () => {
+  it("creates the event with the invitee, host and co-hosts", async () => {
+    const calendar = await getCalendarProvider(host);
+    const fields = await addBookingToCalendar(makeBooking("b1", "Ada"), makeEvent(), host, {
+      calendar,
+      requestConference: true,
+      coHosts: [coHost],
+    });
+
+    expect(fields.calendarProvider).toBe("FAKE");
+    expect(fields.meetLink).toMatch(/^https:\/\/meet\.example\.test\//);
+
+    const [calendarEvent] = getFakeCalendarEvents();
+    expect(calendarEvent.eventId).toBe(fields.calendarEventId);
+    expect(calendarEvent.attendees.map((attendee) => attendee.email)).toEqual([
+      "ada@example.com",
+      "host@example.com",
+      "cohost@example.com",
+    ]);
+  });
+
+  it("blocks the booked slot through the calendar's busy times", async () => {
+    const calendar = await getCalendarProvider(host);
+    const event = makeEvent();
+    await addBookingToCalendar(makeBooking("b1", "Ada"), event, host, { calendar });
+
+    const busyTimes = await getProviderBusyTimes(
+      calendar,
+      new Date("2026-03-23T00:00:00Z"),
+      new Date("2026-03-24T00:00:00Z")
+    );
+    const check = (startTime) =>
+      assertSlotAvailable({
+        event,
+        availability,
+        bookings: busyTimes,
+        startTime,
+        now: new Date("2026-03-23T06:00:00Z"),
+      });
+
+    expect(() => check("2026-03-23T09:00:00Z")).toThrow(
+      "This time slot is no longer available"
+    );
+    expect(() => check("2026-03-23T10:00:00Z")).not.toThrow();
+  });
+
+  it("removes the event with the booking", async () => {
+    const calendar = await getCalendarProvider(host);
+    const event = makeEvent();
+    const booking = makeBooking("b1", "Ada");
+    const fields = await addBookingToCalendar(booking, event, host, { calendar });
+
+    await removeBookingFromCalendar(
+      { ...booking, ...fields, event, user: host },
+      { client: clientWithSeats([]) }
+    );
+
+    expect(getFakeCalendarEvents()).toEqual([]);
+  });
+
+  it("shares one event between the seats of a slot", async () => {
+    const calendar = await getCalendarProvider(host);
+    const event = makeEvent({ seats: 3 });
+    const first = makeBooking("b1", "Ada");
+    const second = makeBooking("b2", "Grace");
+
+    const firstFields = await addBookingToCalendar(first, event, host, {
+      calendar,
+      client: clientWithSeats([]),
+    });
+    const firstSeat = { ...first, ...firstFields, event, user: host };
+    const secondFields = await addBookingToCalendar(second, event, host, {
+      calendar,
+      client: clientWithSeats([firstSeat]),
+    });
+    const secondSeat = { ...second, ...secondFields, event, user: host };
+
+    expect(secondFields.calendarEventId).toBe(firstFields.calendarEventId);
+    let [calendarEvent] = getFakeCalendarEvents();
+    expect(getFakeCalendarEvents()).toHaveLength(1);
+    expect(calendarEvent.hideAttendees).toBe(true);
+    expect(calendarEvent.attendees.map((attendee) => attendee.name)).toEqual([
+      "Ada",
+      "Grace",
+      "Host",
+    ]);
+
+    // One seat leaving keeps the event for the others.
+    await removeBookingFromCalendar(secondSeat, { client: clientWithSeats([firstSeat]) });
+    [calendarEvent] = getFakeCalendarEvents();
+    expect(calendarEvent.attendees.map((attendee) => attendee.name)).toEqual(["Ada", "Host"]);
+
+    // The last one takes it away.
+    await removeBookingFromCalendar(firstSeat, { client: clientWithSeats([]) });
+    expect(getFakeCalendarEvents()).toEqual([]);
+  });
+});
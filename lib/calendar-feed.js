@@ -0,0 +1,101 @@
+import { randomBytes } from "crypto";
+import { subDays } from "date-fns";
+import { db } from "@/lib/prisma";
+import { buildIcsCalendar } from "@/lib/ics";
+import { formatAnswer } from "@/lib/questions";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  PAST_BOOKING_STATUSES,
+} from "@/lib/bookings";
+
+// A host's bookings as an iCalendar feed that Outlook, Apple Calendar and
+// friends can subscribe to. The feed URL carries a random per-user token
+// instead of a login; generating a new token revokes the old URL.
+
+// How far back the feed goes.
+const FEED_PAST_DAYS = 30;
+
+// Rescheduled bookings are left out: the booking that replaced them has the
+// same UID. Declined and expired requests never happened.
+const FEED_BOOKING_STATUSES = [
+  ...ACTIVE_BOOKING_STATUSES,
+  ...PAST_BOOKING_STATUSES,
+  "PENDING",
+  "CANCELLED",
+];
+
+const FEED_STATUSES = {
+  PENDING: "TENTATIVE",
+  CANCELLED: "CANCELLED",
+};
+
+export function createCalendarFeedToken() {
+  return randomBytes(24).toString("base64url");
+}
+
+// Relative to the site, like the other links the dashboard shows.
+export function getCalendarFeedPath(token) {
+  return `/api/calendar/${token}.ics`;
+}
+
+function describeBooking(booking) {
+  const answers = (booking.answers ?? []).map(
+    (answer) => `${answer.label}: ${formatAnswer(answer)}`
+  );
+
+  return [
+    `Invitee: ${booking.name} <${booking.email}>`,
+    booking.status === "PENDING" && "Waiting for your approval",
+    booking.status === "CANCELLED" &&
+      `Cancelled by ${booking.cancelledBy === "HOST" ? "you" : "the invitee"}${
+        booking.cancellationReason ? `: ${booking.cancellationReason}` : ""
+      }`,
+    booking.meetLink && `Join: ${booking.meetLink}`,
+    booking.additionalInfo && `Notes: ${booking.additionalInfo}`,
+    ...answers,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// The feed for `token`, or null when no user has it. Bookings are those the
+// user hosts, co-hosts included, from FEED_PAST_DAYS ago on.
+export async function getCalendarFeed(token) {
+  const user = await db.user.findUnique({
+    where: { calendarFeedToken: token },
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const now = new Date();
+  const bookings = await db.booking.findMany({
+    where: {
+      OR: [{ userId: user.id }, { coHostIds: { has: user.id } }],
+      status: { in: FEED_BOOKING_STATUSES },
+      startTime: { gte: subDays(now, FEED_PAST_DAYS) },
+    },
+    include: { event: { select: { title: true } } },
+    orderBy: { startTime: "asc" },
+  });
+
+  return buildIcsCalendar({
+    name: `Schedular - ${user.name ?? user.username}`,
+    events: bookings
+      // Requests past their expiry no longer hold the slot.
+      .filter((booking) => booking.status !== "PENDING" || booking.expiresAt > now)
+      .map((booking) => ({
+        uid: booking.icsUid,
+        sequence: booking.icsSequence + (booking.status === "CANCELLED" ? 1 : 0),
+        updatedAt: booking.updatedAt,
+        summary: `${booking.name} - ${booking.event.title}`,
+        description: describeBooking(booking),
+        location: booking.location ?? booking.meetLink,
+        url: booking.meetLink,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        status: FEED_STATUSES[booking.status] ?? "CONFIRMED",
+      })),
+  });
+}
@@ -0,0 +1,143 @@
+import { buildIcsCalendar, formatIcsDate } from "@/lib/ics";
+import { isValidTimeZone, zonedTimeToUtc } from "@/lib/time-zone";
+import { fetchPublicUrl } from "@/lib/public-url";
+
+// Calendar provider for any CalDAV server (Nextcloud, Fastmail, iCloud, ...).
+// `serverUrl` is the URL of the calendar collection the events live in.
+export function createCalDavProvider({ serverUrl, username, password, organizer }) {
+  const baseUrl = serverUrl.endsWith("/") ? serverUrl : `${serverUrl}/`;
+  const authorization = `Basic ${Buffer.from(`${username}:${password}`).toString("base64")}`;
+
+  // The server URL comes from the user, so no request (verify() included)
+  // may lead into our own network, and redirects aren't followed.
+  const request = async (url, { method, headers, body }) => {
+    const response = await fetchPublicUrl(url, {
+      method,
+      headers: { Authorization: authorization, ...headers },
+      body,
+    });
+
+    if (!response.ok) {
+      throw new Error(`CalDAV ${method} failed with status ${response.status}`);
+    }
+
+    return response;
+  };
+
+  const putEvent = (eventId, details, headers = {}) =>
+    request(`${baseUrl}${eventId}.ics`, {
+      method: "PUT",
+      headers: { "Content-Type": "text/calendar; charset=utf-8", ...headers },
+      body: buildIcsCalendar({
+        events: [
+          {
+            ...details,
+            uid: eventId,
+            sequence: details.sequence ?? 0,
+            organizer,
+          },
+        ],
+      }),
+    });
+
+  return {
+    name: "CALDAV",
+    supportsConferencing: false,
+
+    // Checks the URL and credentials before a connection is saved.
+    async verify() {
+      await request(baseUrl, {
+        method: "PROPFIND",
+        headers: { Depth: "0", "Content-Type": "application/xml; charset=utf-8" },
+        body: `<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>`,
+      });
+    },
+
+    // CalDAV has no conferencing of its own, so no meet link comes back.
+    async createEvent(details) {
+      await putEvent(details.uid, details, { "If-None-Match": "*" });
+      return { eventId: details.uid, meetLink: null };
+    },
+
+    async updateEvent(eventId, details) {
+      await putEvent(eventId, details);
+      return { eventId, meetLink: null };
+    },
+
+    async deleteEvent(eventId) {
+      await request(`${baseUrl}${eventId}.ics`, { method: "DELETE" });
+    },
+
+    // Asks the server to expand recurring events so every occurrence comes
+    // back as its own VEVENT with UTC times.
+    async getBusyTimes(timeMin, timeMax) {
+      const start = formatIcsDate(timeMin);
+      const end = formatIcsDate(timeMax);
+
+      const response = await request(baseUrl, {
+        method: "REPORT",
+        headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+        body: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <c:calendar-data><c:expand start="${start}" end="${end}"/></c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${start}" end="${end}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`,
+      });
+
+      return parseBusyTimes(await response.text());
+    },
+  };
+}
+
+// Pulls DTSTART/DTEND out of every opaque VEVENT in a multistatus response.
+function parseBusyTimes(xml) {
+  const text = decodeXml(xml).replace(/\r?\n[ \t]/g, "");
+  const events = text.match(/BEGIN:VEVENT[\s\S]*?END:VEVENT/g) ?? [];
+
+  return events.flatMap((event) => {
+    if (/^TRANSP:TRANSPARENT/m.test(event) || /^STATUS:CANCELLED/m.test(event)) {
+      return [];
+    }
+
+    const startTime = parseIcsDateProperty(event, "DTSTART");
+    const endTime = parseIcsDateProperty(event, "DTEND") ?? startTime;
+
+    return startTime ? [{ startTime, endTime }] : [];
+  });
+}
+
+function parseIcsDateProperty(event, name) {
+  const match = event.match(new RegExp(`^${name}((?:;[^:\\r\\n]*)?):(\\d{8})(?:T(\\d{6})(Z)?)?`, "m"));
+  if (!match) {
+    return null;
+  }
+
+  const [, params, date, time, utc] = match;
+  const dateStr = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}`;
+  const timeStr = time ? `${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}` : "00:00:00";
+
+  if (utc) {
+    return new Date(`${dateStr}T${timeStr}Z`);
+  }
+
+  const timeZone = params.match(/TZID=([^;]+)/)?.[1];
+  return zonedTimeToUtc(dateStr, timeStr.slice(0, 5), isValidTimeZone(timeZone) ? timeZone : "UTC");
+}
+
+function decodeXml(xml) {
+  return xml
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#13;/g, "\r")
+    .replace(/&amp;/g, "&");
+}
@@ -0,0 +1,54 @@
+import { randomUUID } from "crypto";
+
+// In-memory provider used when CALENDAR_PROVIDER=fake, so bookings can be
+// exercised offline. Events are kept per process and can be inspected or
+// cleared by tests.
+const events = new Map();
+
+export function getFakeCalendarEvents() {
+  return [...events.values()];
+}
+
+export function resetFakeCalendar() {
+  events.clear();
+}
+
+export function createFakeProvider() {
+  return {
+    name: "FAKE",
+    supportsConferencing: true,
+
+    async createEvent(details) {
+      const eventId = randomUUID();
+      const meetLink = details.requestConference
+        ? `https://meet.example.test/${eventId}`
+        : null;
+      events.set(eventId, { ...details, eventId, meetLink });
+      return { eventId, meetLink };
+    },
+
+    async updateEvent(eventId, details) {
+      const existing = events.get(eventId);
+      if (!existing) {
+        throw new Error(`Fake calendar event ${eventId} not found`);
+      }
+      events.set(eventId, { ...existing, ...details });
+      return { eventId, meetLink: existing.meetLink };
+    },
+
+    async deleteEvent(eventId) {
+      events.delete(eventId);
+    },
+
+    async getBusyTimes(timeMin, timeMax) {
+      return getFakeCalendarEvents()
+        .filter(({ startTime, endTime }) =>
+          new Date(startTime) < new Date(timeMax) && new Date(endTime) > new Date(timeMin)
+        )
+        .map(({ startTime, endTime }) => ({
+          startTime: new Date(startTime),
+          endTime: new Date(endTime),
+        }));
+    },
+  };
+}
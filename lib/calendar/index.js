@@ -0,0 +1,73 @@
+import { db } from "@/lib/prisma";
+import { decryptSecret } from "@/lib/secrets";
+import { createCalDavProvider } from "./caldav";
+import { createFakeProvider } from "./fake";
+import { createGoogleProvider, getGoogleCalendar } from "./google";
+import { createInternalProvider } from "./internal";
+
+// Every calendar provider implements the same interface:
+//
+//   name                              "GOOGLE" | "CALDAV" | "INTERNAL" | "FAKE"
+//   supportsConferencing              whether createEvent can attach a video call
+//   createEvent(details)           -> { eventId, meetLink }
+//   updateEvent(eventId, details)  -> { eventId, meetLink }
+//   deleteEvent(eventId)
+//   getBusyTimes(timeMin, timeMax) -> [{ startTime, endTime }]
+//
+// `details` is { uid, summary, description, location, startTime, endTime,
+// attendees: [{ name, email }], hideAttendees, requestConference }. `uid` is
+// stable per booking (per slot for events with several seats).
+// `hideAttendees` keeps attendees from seeing each other where the calendar
+// supports it.
+
+// Picks the calendar a user's bookings are written to. A connected CalDAV
+// calendar wins over Google; without either, bookings stay internal. Pass
+// `preferred` (a booking's stored provider) to reach the calendar an
+// existing booking was created in. CALENDAR_PROVIDER=fake swaps every
+// provider for an in-memory one.
+export async function getCalendarProvider(user, preferred) {
+  if (process.env.CALENDAR_PROVIDER === "fake") {
+    return createFakeProvider();
+  }
+
+  if (!preferred || preferred === "CALDAV") {
+    const connection = await db.calDavConnection.findUnique({
+      where: { userId: user.id },
+    });
+
+    if (connection) {
+      return createCalDavProvider({
+        serverUrl: connection.serverUrl,
+        username: connection.username,
+        password: decryptSecret(connection.password),
+        organizer: { name: user.name, email: user.email },
+      });
+    }
+  }
+
+  if (!preferred || preferred === "GOOGLE") {
+    const calendar = await getGoogleCalendar(user.clerkUserId);
+
+    if (calendar) {
+      return createGoogleProvider(calendar, user);
+    }
+  }
+
+  return createInternalProvider();
+}
+
+// Busy intervals from the user's external calendar, shaped like bookings.
+export async function getCalendarBusyTimes(user, timeMin, timeMax) {
+  return getProviderBusyTimes(await getCalendarProvider(user), timeMin, timeMax);
+}
+
+// Calendar errors are logged and treated as "no busy times" so booking
+// pages keep working while a calendar is unreachable.
+export async function getProviderBusyTimes(provider, timeMin, timeMax) {
+  try {
+    return await provider.getBusyTimes(timeMin, timeMax);
+  } catch (error) {
+    console.error("Failed to load calendar busy times:", error);
+    return [];
+  }
+}
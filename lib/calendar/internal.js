@@ -0,0 +1,22 @@
+// Provider for hosts without an external calendar: bookings live only in
+// the app's own database, so there is nothing to create, sync or query.
+export function createInternalProvider() {
+  return {
+    name: "INTERNAL",
+    supportsConferencing: false,
+
+    async createEvent() {
+      return { eventId: null, meetLink: null };
+    },
+
+    async updateEvent(eventId) {
+      return { eventId, meetLink: null };
+    },
+
+    async deleteEvent() {},
+
+    async getBusyTimes() {
+      return [];
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// Conferencing adapters, one per Event.locationType. Each turns an event
+// into the location of one of its bookings:
+//
+//   resolve({ event, bookingId, inviteeLocation })
+//     -> { locationType, location, meetLink, requestConference }
+//
+// `requestConference` asks the calendar provider to attach a video call;
+// the link it returns becomes the booking's meetLink.
+
+const JITSI_BASE_URL = process.env.JITSI_BASE_URL || "https://meet.jit.si";
+
+const googleMeet = {
+  resolve: () => ({
+    locationType: "GOOGLE_MEET",
+    location: null,
+    meetLink: null,
+    requestConference: true,
+  }),
+};
+
+// Room names are public on meet.jit.si, so each booking gets its own
+// unguessable room.
+const jitsi = {
+  resolve: ({ bookingId }) => ({
+    locationType: "JITSI",
+    location: null,
+    meetLink: `${JITSI_BASE_URL}/Schedular-${bookingId}`,
+    requestConference: false,
+  }),
+};
+
+// Zoom and custom links are fixed per event.
+const fixedLink = (locationType) => ({
+  resolve: ({ event }) => ({
+    locationType,
+    location: null,
+    meetLink: event.locationValue,
+    requestConference: false,
+  }),
+});
+
+// Phone numbers and addresses are set per event.
+const fixedPlace = (locationType) => ({
+  resolve: ({ event }) => ({
+    locationType,
+    location: event.locationValue,
+    meetLink: null,
+    requestConference: false,
+  }),
+});
+
+const askInvitee = {
+  resolve: ({ inviteeLocation }) => {
+    if (!inviteeLocation?.trim()) {
+      throw new Error("Please tell the host where to meet");
+    }
+
+    return {
+      locationType: "ASK_INVITEE",
+      location: inviteeLocation.trim(),
+      meetLink: null,
+      requestConference: false,
+    };
+  },
+};
+
+const adapters = {
+  GOOGLE_MEET: googleMeet,
+  JITSI: jitsi,
+  ZOOM: fixedLink("ZOOM"),
+  CUSTOM_URL: fixedLink("CUSTOM_URL"),
+  PHONE: fixedPlace("PHONE"),
+  IN_PERSON: fixedPlace("IN_PERSON"),
+  ASK_INVITEE: askInvitee,
+};
+
+export function getConferencingAdapter(locationType) {
+  return adapters[locationType] ?? googleMeet;
+}
+
+// Location of a new booking. Only some calendars can attach a video call
+// (Google Meet); when the host's calendar can't, the meeting moves to a
+// Jitsi room so the invitee still gets something to join.
+export function resolveMeetingLocation({ event, bookingId, inviteeLocation, calendar }) {
+  const location = getConferencingAdapter(event.locationType).resolve({
+    event,
+    bookingId,
+    inviteeLocation,
+  });
+
+  if (location.requestConference && !calendar.supportsConferencing) {
+    return jitsi.resolve({ bookingId });
+  }
+
+  return location;
+}
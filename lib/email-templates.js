@@ -0,0 +1,103 @@
+import { DEFAULT_TIME_ZONE, formatInTimeZone } from "@/lib/time-zone";
+
+// Text of the booking emails. Templates get the booking, with its `event`
+// and `user` (the host) loaded, and the recipient: { name, timeZone,
+// isHost, manageUrl }. Times are shown in the recipient's time zone. Each
+// returns { subject, text }.
+
+function describeTime(date, timeZone) {
+  const zone = timeZone ?? DEFAULT_TIME_ZONE;
+  return `${formatInTimeZone(date, zone, "EEEE, MMMM d, yyyy 'at' HH:mm")} (${zone})`;
+}
+
+function meetingLines(booking) {
+  return [
+    ...(booking.meetLink ? ["", `Join the meeting: ${booking.meetLink}`] : []),
+    ...(booking.location ? ["", `Location: ${booking.location}`] : []),
+  ];
+}
+
+// Only absolute links are any use in an email.
+function manageLines(recipient) {
+  return recipient.manageUrl?.startsWith("http")
+    ? ["", `Need to make changes? ${recipient.manageUrl}`]
+    : [];
+}
+
+function render(recipient, subject, lines) {
+  return {
+    subject,
+    text: [`Hi ${recipient.name ?? "there"},`, "", ...lines].join("\n"),
+  };
+}
+
+export function bookingConfirmedEmail(booking, recipient) {
+  const time = describeTime(booking.startTime, recipient.timeZone);
+
+  if (recipient.isHost) {
+    return render(recipient, `New booking: ${booking.event.title} with ${booking.name}`, [
+      `${booking.name} (${booking.email}) booked ${booking.event.title} for ${time}.`,
+      ...(booking.additionalInfo ? ["", `Notes: ${booking.additionalInfo}`] : []),
+      ...meetingLines(booking),
+    ]);
+  }
+
+  return render(recipient, `Confirmed: ${booking.event.title} with ${booking.user.name}`, [
+    `Your booking with ${booking.user.name} for ${time} is confirmed.`,
+    ...meetingLines(booking),
+    ...manageLines(recipient),
+  ]);
+}
+
+export function bookingCancelledEmail(booking, recipient) {
+  const time = describeTime(booking.startTime, recipient.timeZone);
+  const other = recipient.isHost ? booking.name : booking.user.name;
+  const cancelledByRecipient =
+    (booking.cancelledBy === "HOST") === Boolean(recipient.isHost);
+
+  return render(recipient, `Cancelled: ${booking.event.title} with ${other}`, [
+    cancelledByRecipient
+      ? `You cancelled your meeting with ${other} on ${time}.`
+      : `${other} cancelled your meeting on ${time}.`,
+    ...(booking.cancellationReason
+      ? ["", `Reason: ${booking.cancellationReason}`]
+      : []),
+  ]);
+}
+
+export function bookingRescheduledEmail(booking, recipient, previousBooking) {
+  const other = recipient.isHost ? booking.name : booking.user.name;
+
+  return render(recipient, `Rescheduled: ${booking.event.title} with ${other}`, [
+    `Your meeting with ${other} has moved:`,
+    "",
+    `From: ${describeTime(previousBooking.startTime, recipient.timeZone)}`,
+    `To: ${describeTime(booking.startTime, recipient.timeZone)}`,
+    ...meetingLines(booking),
+    ...(recipient.isHost ? [] : manageLines(recipient)),
+  ]);
+}
+
+export function bookingReminderEmail(booking, recipient) {
+  return render(recipient, `Reminder: ${booking.event.title} with ${booking.user.name}`, [
+    `This is a reminder of your meeting with ${booking.user.name} on ${describeTime(booking.startTime, recipient.timeZone)}.`,
+    ...meetingLines(booking),
+    ...manageLines(recipient),
+  ]);
+}
+
+export function bookingDeclinedEmail(booking, recipient) {
+  return render(recipient, `Declined: ${booking.event.title} with ${booking.user.name}`, [
+    `${booking.user.name} could not accept your booking request for ${describeTime(booking.startTime, recipient.timeZone)}.`,
+    ...(booking.cancellationReason
+      ? ["", `Reason: ${booking.cancellationReason}`]
+      : []),
+  ]);
+}
+
+export function bookingExpiredEmail(booking, recipient) {
+  return render(recipient, `Expired: ${booking.event.title} with ${booking.user.name}`, [
+    `Your booking request for ${describeTime(booking.startTime, recipient.timeZone)} expired before ${booking.user.name} could confirm it.`,
+    "Feel free to pick another time.",
+  ]);
+}
@@ -0,0 +1,88 @@
+import { db } from "@/lib/prisma";
+import { slotHoldingBookingsWhere } from "@/lib/bookings";
+
+const busyTimeSelect = {
+  eventId: true,
+  startTime: true,
+  endTime: true,
+  event: {
+    select: {
+      bufferBefore: true,
+      bufferAfter: true,
+    },
+  },
+};
+
+// Loads a (not deleted) event together with everything slot generation needs
+// for one of its hosts (`hostId`, by default the event's owner): the host's
+// availability and the host's busy times. Busy times are the
+// bookings holding a slot (confirmed or awaiting approval) plus active slot
+// holds, also those the host only co-hosts, except the hold `excludeHoldId` that
+// belongs to the invitee asking and the booking `excludeBookingId` they are
+// rescheduling, plus any `externalBusyTimes` (e.g. from the host's
+// calendar). Pass a transaction client to read them inside a host lock.
+export async function getEventSchedule(
+  eventId,
+  client = db,
+  { hostId, excludeHoldId, excludeBookingId, externalBusyTimes = [] } = {}
+) {
+  const event = await client.event.findFirst({
+    where: { id: eventId, deletedAt: null },
+    include: { user: true },
+  });
+
+  if (!event) {
+    return null;
+  }
+
+  const host = await client.user.findUnique({
+    where: { id: hostId ?? event.userId },
+    include: {
+      availability: {
+        include: {
+          days: true,
+          overrides: true,
+        },
+      },
+    },
+  });
+
+  if (!host) {
+    return null;
+  }
+
+  const hostedBy = { OR: [{ userId: host.id }, { coHostIds: { has: host.id } }] };
+
+  const bookings = await client.booking.findMany({
+    where: {
+      AND: [hostedBy, slotHoldingBookingsWhere()],
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: busyTimeSelect,
+  });
+
+  const slotHolds = await client.slotHold.findMany({
+    where: {
+      ...hostedBy,
+      expiresAt: { gt: new Date() },
+      ...(excludeHoldId && { id: { not: excludeHoldId } }),
+    },
+    select: busyTimeSelect,
+  });
+
+  return {
+    event,
+    host,
+    availability: host.availability,
+    bookings: [...bookings, ...slotHolds, ...externalBusyTimes],
+  };
+}
+
+// Serialises writes to the hosts' schedules until the surrounding
+// transaction ends, so two invitees can't both pass the availability check
+// for the same time. Locks are taken in a fixed order to avoid deadlocks.
+export async function lockHostSchedules(tx, userIds) {
+  for (const userId of [...new Set(userIds)].sort()) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${userId}))`;
+  }
+}
@@ -0,0 +1,76 @@
+import { endOfMonth, startOfMonth } from "date-fns";
+import { db } from "@/lib/prisma";
+import { slotHoldingBookingsWhere } from "@/lib/bookings";
+
+// Who hosts an event's bookings, as users with a round-robin `weight`: the
+// team's members for ROUND_ROBIN events (one of them per booking), the
+// listed hosts for COLLECTIVE events (all of them, the owner first when
+// they're one), the owner otherwise. `event` needs its `user` loaded.
+export async function getEventHosts(event, client = db) {
+  if (event.kind === "COLLECTIVE") {
+    // Hosts must still be (accepted) members of the event's team.
+    const hosts = await client.eventHost.findMany({
+      where: {
+        eventId: event.id,
+        user: {
+          teamMemberships: {
+            some: { teamId: event.teamId, acceptedAt: { not: null } },
+          },
+        },
+      },
+      include: { user: true },
+      orderBy: { createdAt: "asc" },
+    });
+
+    return hosts
+      .map((host) => ({ ...host.user, weight: 1 }))
+      .sort((a, b) => (b.id === event.userId) - (a.id === event.userId));
+  }
+
+  if (event.kind !== "ROUND_ROBIN") {
+    return [{ ...event.user, weight: 1 }];
+  }
+
+  // Invited users who haven't accepted yet don't host.
+  const members = await client.teamMember.findMany({
+    where: { teamId: event.teamId, acceptedAt: { not: null } },
+    include: { user: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return members.map((member) => ({ ...member.user, weight: member.weight }));
+}
+
+// Hosts in the order a booking at `startTime` should try them: the fewest
+// bookings of this event in that month first, or with WEIGHTED assignment,
+// the fewest relative to their weight. Ties go to the higher weight, then
+// to the longest-standing member.
+export async function orderHostsForBooking(event, hosts, startTime, client = db) {
+  if (hosts.length < 2) {
+    return hosts;
+  }
+
+  const counts = await client.booking.groupBy({
+    by: ["userId"],
+    where: {
+      eventId: event.id,
+      userId: { in: hosts.map((host) => host.id) },
+      startTime: { gte: startOfMonth(startTime), lte: endOfMonth(startTime) },
+      ...slotHoldingBookingsWhere(),
+    },
+    _count: { _all: true },
+  });
+  const bookingCounts = Object.fromEntries(
+    counts.map(({ userId, _count }) => [userId, _count._all])
+  );
+
+  const load = (host) => {
+    const count = bookingCounts[host.id] ?? 0;
+    return event.assignment === "WEIGHTED" ? count / Math.max(host.weight, 1) : count;
+  };
+
+  return hosts
+    .map((host, index) => ({ host, index, load: load(host) }))
+    .sort((a, b) => a.load - b.load || b.host.weight - a.host.weight || a.index - b.index)
+    .map(({ host }) => host);
+}
@@ -0,0 +1,105 @@
+// Minimal RFC 5545 writer for the iCalendar objects the app produces.
+
+const PRODUCT_ID = "-//Schedular//Meeting Scheduler//EN";
+
+// 20261019T093000Z
+export function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines
+// that start with a space.
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = "";
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, "utf8");
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = "";
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function person(property, { name, email }, params = []) {
+  const allParams = [...(name ? [`CN="${String(name).replace(/"/g, "'")}"`] : []), ...params];
+  return `${property}${allParams.map((param) => `;${param}`).join("")}:mailto:${email}`;
+}
+
+function buildEvent(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence ?? 0}`,
+    `DTSTAMP:${formatIcsDate(event.updatedAt ?? new Date())}`,
+    `DTSTART:${formatIcsDate(event.startTime)}`,
+    `DTEND:${formatIcsDate(event.endTime)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.organizer?.email) {
+    lines.push(person("ORGANIZER", event.organizer));
+  }
+  (event.attendees ?? []).forEach((attendee) => {
+    lines.push(
+      person("ATTENDEE", attendee, [
+        "ROLE=REQ-PARTICIPANT",
+        `PARTSTAT=${attendee.status ?? "NEEDS-ACTION"}`,
+        "RSVP=TRUE",
+      ])
+    );
+  });
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// A VCALENDAR with one VEVENT per entry of `events`. `method` is the iTIP
+// method (REQUEST, CANCEL, ...); leave it out for stored calendar data.
+export function buildIcsCalendar({ method, name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { buildIcsCalendar, formatIcsDate } from "@/lib/ics";
+
+const meeting = {
+  uid: "booking-1@schedular",
+  summary: "Intro call",
+  startTime: new Date("2026-10-19T09:30:00Z"),
+  endTime: new Date("2026-10-19T10:00:00Z"),
+  organizer: { name: "Host", email: "host@example.com" },
+  attendees: [{ name: "Invitee", email: "invitee@example.com", status: "ACCEPTED" }],
+};
+
+// Content lines with folding undone.
+function unfold(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+describe("formatIcsDate", () => {
+  it("writes UTC date-times", () => {
+    expect(formatIcsDate("2026-10-19T09:30:00.000Z")).toBe("20261019T093000Z");
+  });
+});
+
+describe("buildIcsCalendar", () => {
+  it("writes the UID and SEQUENCE of each event", () => {
+    const lines = unfold(
+      buildIcsCalendar({ method: "REQUEST", events: [{ ...meeting, sequence: 2 }] })
+    );
+
+    expect(lines).toContain("METHOD:REQUEST");
+    expect(lines).toContain("UID:booking-1@schedular");
+    expect(lines).toContain("SEQUENCE:2");
+    expect(lines).toContain("DTSTART:20261019T093000Z");
+    expect(lines).toContain("DTEND:20261019T100000Z");
+    expect(lines).toContain('ORGANIZER;CN="Host":mailto:host@example.com');
+  });
+
+  it("starts at SEQUENCE 0", () => {
+    expect(unfold(buildIcsCalendar({ events: [meeting] }))).toContain("SEQUENCE:0");
+  });
+
+  it("cancels with the same UID", () => {
+    const lines = unfold(
+      buildIcsCalendar({
+        method: "CANCEL",
+        events: [{ ...meeting, sequence: 1, status: "CANCELLED" }],
+      })
+    );
+
+    expect(lines).toContain("METHOD:CANCEL");
+    expect(lines).toContain("STATUS:CANCELLED");
+    expect(lines).toContain("UID:booking-1@schedular");
+    expect(lines).toContain("SEQUENCE:1");
+  });
+
+  it("leaves METHOD out of stored calendar data", () => {
+    expect(buildIcsCalendar({ events: [meeting] })).not.toContain("METHOD:");
+  });
+
+  it("escapes text and folds long lines", () => {
+    const ics = buildIcsCalendar({
+      events: [{ ...meeting, summary: "Call; notes, etc", description: "a".repeat(200) }],
+    });
+
+    expect(unfold(ics)).toContain("SUMMARY:Call\\; notes\\, etc");
+    expect(ics.split("\r\n").every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
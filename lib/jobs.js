@@ -0,0 +1,98 @@
+import { addMinutes } from "date-fns";
+import { db } from "@/lib/prisma";
+
+// Background work kept in the database. Jobs are stored with the time they
+// are due (`runAt`); the worker route (/api/jobs/run, called on a schedule)
+// runs the due ones through `runDueJobs`.
+
+// Attempts before a job is given up as FAILED.
+export const MAX_JOB_ATTEMPTS = 5;
+
+// How long a claimed job is reserved for the worker running it. A job still
+// RUNNING after that (the worker died) is picked up again.
+const JOB_LOCK_MINUTES = 5;
+
+// Stores jobs: [{ type, runAt, payload, bookingId, key }]. A job whose
+// `key` is already taken is skipped, so enqueueing the same work twice is
+// harmless. Pass the transaction client when called inside one.
+export async function enqueueJobs(jobs, { client = db } = {}) {
+  if (jobs.length === 0) {
+    return;
+  }
+
+  await client.job.createMany({ data: jobs, skipDuplicates: true });
+}
+
+// Cancels the booking's jobs that haven't run yet.
+export async function cancelBookingJobs(bookingIds, { client = db } = {}) {
+  await client.job.updateMany({
+    where: { bookingId: { in: bookingIds }, status: "PENDING" },
+    data: { status: "CANCELLED", key: null },
+  });
+}
+
+// Runs the jobs that are due with `handlers[job.type](job)`. Each job is
+// claimed before it runs, so concurrent workers never run it twice. A job
+// that throws is retried with exponential backoff (2, 4, 8, ... minutes), up
+// to MAX_JOB_ATTEMPTS.
+// Returns how many jobs were done and how many failed.
+export async function runDueJobs(handlers, { limit = 50 } = {}) {
+  const now = new Date();
+  const due = await db.job.findMany({
+    where: {
+      OR: [
+        { status: "PENDING", runAt: { lte: now } },
+        { status: "RUNNING", lockedUntil: { lt: now } },
+      ],
+    },
+    orderBy: { runAt: "asc" },
+    take: limit,
+  });
+
+  const result = { done: 0, failed: 0 };
+  for (const job of due) {
+    const { count } = await db.job.updateMany({
+      where: { id: job.id, status: job.status, attempts: job.attempts },
+      data: {
+        status: "RUNNING",
+        attempts: { increment: 1 },
+        lockedUntil: addMinutes(now, JOB_LOCK_MINUTES),
+      },
+    });
+    if (count === 0) {
+      continue;
+    }
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`No handler for ${job.type} jobs`);
+      }
+
+      await handler(job);
+      await db.job.update({
+        where: { id: job.id },
+        data: { status: "DONE", lockedUntil: null, completedAt: new Date() },
+      });
+      result.done += 1;
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      const attempts = job.attempts + 1;
+      await db.job.update({
+        where: { id: job.id },
+        data:
+          attempts >= MAX_JOB_ATTEMPTS
+            ? { status: "FAILED", lockedUntil: null, lastError: error.message }
+            : {
+                status: "PENDING",
+                lockedUntil: null,
+                runAt: addMinutes(new Date(), 2 ** attempts),
+                lastError: error.message,
+              },
+      });
+      result.failed += 1;
+    }
+  }
+
+  return result;
+}
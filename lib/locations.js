@@ -0,0 +1,18 @@
+// Meeting location types an event can use. `valueLabel` names the detail
+// the host fills in (stored in Event.locationValue); types without one need
+// nothing from the host. `isUrl` types expect an http(s) link.
+export const LOCATION_TYPES = {
+  GOOGLE_MEET: { label: "Google Meet" },
+  JITSI: { label: "Jitsi Meet" },
+  ZOOM: { label: "Zoom", valueLabel: "Zoom meeting link", isUrl: true },
+  PHONE: { label: "Phone call", valueLabel: "Phone number" },
+  IN_PERSON: { label: "In person", valueLabel: "Address" },
+  CUSTOM_URL: { label: "Custom link", valueLabel: "Meeting link", isUrl: true },
+  ASK_INVITEE: { label: "Invitee chooses the location" },
+};
+
+export const LOCATION_TYPE_VALUES = Object.keys(LOCATION_TYPES);
+
+export function getLocationLabel(locationType) {
+  return LOCATION_TYPES[locationType]?.label ?? LOCATION_TYPES.GOOGLE_MEET.label;
+}
@@ -0,0 +1,172 @@
+import { db } from "@/lib/prisma";
+import { sendEmail } from "@/lib/mailer";
+import { buildIcsCalendar } from "@/lib/ics";
+import { getBookingManageUrl } from "@/lib/bookings";
+import {
+  bookingCancelledEmail,
+  bookingConfirmedEmail,
+  bookingDeclinedEmail,
+  bookingExpiredEmail,
+  bookingReminderEmail,
+  bookingRescheduledEmail,
+} from "@/lib/email-templates";
+
+// Emails about bookings. `booking` needs its `event` and `user` (the host)
+// loaded. Failures are logged only: a missed email must not undo the change
+// that triggered it. Reminders are the exception, see below.
+
+async function send(email) {
+  try {
+    await sendEmail(email);
+  } catch (error) {
+    console.error("Failed to send booking email:", error);
+  }
+}
+
+function getInviteeEmail(booking, template) {
+  return {
+    to: booking.email,
+    ...template(booking, {
+      name: booking.name,
+      timeZone: booking.timeZone,
+      manageUrl: getBookingManageUrl(booking.id),
+    }),
+  };
+}
+
+function notifyInvitee(booking, template) {
+  if (!booking.email) {
+    return;
+  }
+
+  return send(getInviteeEmail(booking, template));
+}
+
+// The booking's host first, then the co-hosts of a collective event.
+async function getHosts(booking) {
+  const hosts = await db.user.findMany({
+    where: { id: { in: [booking.userId, ...(booking.coHostIds ?? [])] } },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      availability: { select: { timeZone: true } },
+    },
+  });
+
+  return hosts.sort(
+    (a, b) => Number(b.id === booking.userId) - Number(a.id === booking.userId)
+  );
+}
+
+// The .ics invite sent along with each email. Every email about a booking,
+// including those about the bookings that replace it when it's rescheduled,
+// carries the same UID with a higher SEQUENCE, so calendars update or remove
+// the meeting they already have.
+function getInvite(booking, hosts, method) {
+  const [host, ...coHosts] = hosts;
+
+  return {
+    filename: "invite.ics",
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildIcsCalendar({
+      method,
+      events: [
+        {
+          uid: booking.icsUid,
+          sequence: booking.icsSequence + (method === "CANCEL" ? 1 : 0),
+          summary: booking.event.title,
+          description: booking.event.description,
+          location: booking.location ?? booking.meetLink,
+          startTime: booking.startTime,
+          endTime: booking.endTime,
+          status: method === "CANCEL" ? "CANCELLED" : "CONFIRMED",
+          organizer: { name: host.name, email: host.email },
+          attendees: [
+            { name: booking.name, email: booking.email, status: "ACCEPTED" },
+            ...coHosts.map((coHost) => ({ name: coHost.name, email: coHost.email })),
+          ],
+        },
+      ],
+    }),
+  };
+}
+
+// Tells the invitee and every host, each in their own time zone.
+async function notifyAttendees(booking, { template, method, previousBooking }) {
+  let hosts;
+  try {
+    hosts = await getHosts(booking);
+  } catch (error) {
+    console.error("Failed to load booking hosts:", error);
+    return;
+  }
+
+  const attachments = [getInvite(booking, hosts, method)];
+  const recipients = [
+    ...(booking.email
+      ? [
+          {
+            email: booking.email,
+            name: booking.name,
+            timeZone: booking.timeZone,
+            manageUrl: getBookingManageUrl(booking.id),
+          },
+        ]
+      : []),
+    ...hosts.map((host) => ({
+      email: host.email,
+      name: host.name,
+      timeZone: host.availability?.timeZone,
+      isHost: true,
+    })),
+  ];
+
+  for (const recipient of recipients) {
+    await send({
+      to: recipient.email,
+      ...template(booking, recipient, previousBooking),
+      attachments,
+    });
+  }
+}
+
+export function notifyBookingConfirmed(booking) {
+  return notifyAttendees(booking, {
+    template: bookingConfirmedEmail,
+    method: "REQUEST",
+  });
+}
+
+// `booking` is the new booking; `previousBooking` the one it replaced.
+export function notifyBookingRescheduled(booking, previousBooking) {
+  return notifyAttendees(booking, {
+    template: bookingRescheduledEmail,
+    method: "REQUEST",
+    previousBooking,
+  });
+}
+
+export function notifyBookingCancelled(booking) {
+  return notifyAttendees(booking, {
+    template: bookingCancelledEmail,
+    method: "CANCEL",
+  });
+}
+
+// Sent from a job, so failures are thrown for the job to be retried.
+export async function notifyBookingReminder(booking) {
+  if (!booking.email) {
+    return;
+  }
+
+  await sendEmail(getInviteeEmail(booking, bookingReminderEmail));
+}
+
+export function notifyBookingDeclined(booking) {
+  return notifyInvitee(booking, bookingDeclinedEmail);
+}
+
+export function notifyBookingExpired(booking) {
+  return notifyInvitee(booking, bookingExpiredEmail);
+}
@@ -0,0 +1,124 @@
+// Addresses that requests to URLs users give us (webhooks, CalDAV servers)
+// must never reach: loopback, private and link-local ranges (cloud metadata
+// services live at 169.254.169.254) and other non-public space. Pure, so
+// validators can use it in the browser too.
+
+// [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  // Multicast and reserved, up to 255.255.255.255
+  ["224.0.0.0", 3],
+];
+
+// Names that only resolve inside a network.
+const PRIVATE_NAME_SUFFIXES = [".localhost", ".local", ".internal", ".home.arpa"];
+
+function parseIpv4(address) {
+  const parts = address.split(".");
+  if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function isPrivateIpv4Number(value) {
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(parseIpv4(network) / size);
+  });
+}
+
+// The eight 16-bit groups of an IPv6 address, or null.
+function parseIpv6(address) {
+  let text = address;
+  const embeddedIpv4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embeddedIpv4) {
+    const value = parseIpv4(embeddedIpv4[1]);
+    if (value === null) {
+      return null;
+    }
+    text = `${text.slice(0, -embeddedIpv4[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) {
+    return null;
+  }
+  const toGroups = (half) => (half ? half.split(":") : []);
+  const head = toGroups(halves[0]);
+  const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) {
+    return null;
+  }
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill("0"), ...tail];
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/i.test(group))) {
+    return null;
+  }
+  return groups.map((group) => parseInt(group, 16));
+}
+
+function isPrivateIpv6(groups) {
+  const [first] = groups;
+  const leadingZeros = groups.findIndex((group) => group !== 0);
+  const ipv4 = groups[6] * 65536 + groups[7];
+
+  if (leadingZeros === -1 || (leadingZeros === 7 && groups[7] === 1)) {
+    return true; // :: and ::1
+  }
+  // IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64
+  // (64:ff9b::a.b.c.d) addresses reach the IPv4 address inside.
+  if (
+    (leadingZeros === 5 && groups[5] === 0xffff) ||
+    leadingZeros >= 6 ||
+    (first === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((group) => group === 0))
+  ) {
+    return isPrivateIpv4Number(ipv4);
+  }
+
+  return (
+    (first & 0xfe00) === 0xfc00 || // unique local
+    (first & 0xffc0) === 0xfe80 || // link-local
+    (first & 0xff00) === 0xff00 // multicast
+  );
+}
+
+// Whether an IP address (as DNS returns it) is off limits. Anything that
+// doesn't parse is treated as off limits too.
+export function isPrivateAddress(address) {
+  const text = address.replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+
+  if (text.includes(":")) {
+    const groups = parseIpv6(text);
+    return groups ? isPrivateIpv6(groups) : true;
+  }
+
+  const value = parseIpv4(text);
+  return value === null ? true : isPrivateIpv4Number(value);
+}
+
+// Whether a URL's hostname is off limits without looking it up: private IP
+// literals, localhost and names that only resolve inside a network
+// (including single-label ones like "db").
+export function isPrivateHostname(hostname) {
+  const name = hostname.toLowerCase().replace(/\.$/, "");
+
+  if (name.startsWith("[") || /^[\d.]+$/.test(name)) {
+    return isPrivateAddress(name);
+  }
+
+  return (
+    name === "localhost" ||
+    !name.includes(".") ||
+    PRIVATE_NAME_SUFFIXES.some((suffix) => name.endsWith(suffix))
+  );
+}
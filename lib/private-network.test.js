@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { isPrivateAddress, isPrivateHostname } from "@/lib/private-network";
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.1",
+    "255.255.255.255",
+  ])("refuses IPv4 %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["8.8.8.8", "93.184.216.34", "172.32.0.1", "100.128.0.1"])(
+    "allows IPv4 %s",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  );
+
+  it.each([
+    "::",
+    "::1",
+    "[::1]",
+    "fc00::1",
+    "fd12:3456::1",
+    "fe80::1%eth0",
+    "ff02::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::127.0.0.1",
+    "64:ff9b::a9fe:a9fe",
+  ])("refuses IPv6 %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["2001:4860:4860::8888", "::ffff:8.8.8.8"])("allows IPv6 %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  it("refuses what doesn't parse", () => {
+    expect(isPrivateAddress("300.1.1.1")).toBe(true);
+    expect(isPrivateAddress("not-an-ip")).toBe(true);
+  });
+});
+
+describe("isPrivateHostname", () => {
+  it.each([
+    "localhost",
+    "LOCALHOST.",
+    "api.localhost",
+    "printer.local",
+    "metadata.google.internal",
+    "nas.home.arpa",
+    "db",
+    "127.0.0.1",
+    "[::1]",
+  ])("refuses %s", (hostname) => {
+    expect(isPrivateHostname(hostname)).toBe(true);
+  });
+
+  it.each(["example.com", "hooks.example.com.", "8.8.8.8", "[2001:4860:4860::8888]"])(
+    "allows %s",
+    (hostname) => {
+      expect(isPrivateHostname(hostname)).toBe(false);
+    }
+  );
+});
@@ -0,0 +1,75 @@
+import { lookup } from "dns";
+import { lookup as lookupAsync } from "dns/promises";
+import { Agent, fetch } from "undici";
+import { isPrivateAddress, isPrivateHostname } from "@/lib/private-network";
+
+export const PRIVATE_URL_MESSAGE =
+  "This URL points to a local or private network address";
+
+function hasPrivateAddress(addresses) {
+  return (
+    addresses.length === 0 ||
+    addresses.some(({ address }) => isPrivateAddress(address))
+  );
+}
+
+// Throws unless `url` is http(s) and its host resolves to public addresses
+// only. Gives a clear error up front, e.g. when a URL is saved; requests go
+// through fetchPublicUrl, which also checks the address it connects to.
+export async function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error("Only http(s) URLs are allowed");
+  }
+  if (isPrivateHostname(hostname)) {
+    throw new Error(PRIVATE_URL_MESSAGE);
+  }
+
+  const addresses = await lookupAsync(hostname.replace(/^\[|\]$/g, ""), {
+    all: true,
+    verbatim: true,
+  });
+  if (hasPrivateAddress(addresses)) {
+    throw new Error(PRIVATE_URL_MESSAGE);
+  }
+}
+
+// The lookup the connection itself uses. Checking the very addresses it
+// connects to means a name can't resolve to a public address for the check
+// and to a private one for the request (DNS rebinding).
+function lookupPublicAddress(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+    } else if (hasPrivateAddress(addresses)) {
+      callback(new Error(PRIVATE_URL_MESSAGE));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const publicAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+// fetch() for user-given URLs: only public addresses are connected to, and
+// redirects are returned instead of followed.
+export async function fetchPublicUrl(url, options = {}) {
+  await assertPublicUrl(url);
+
+  try {
+    return await fetch(url, {
+      ...options,
+      redirect: "manual",
+      dispatcher: publicAgent,
+    });
+  } catch (error) {
+    // fetch reports connection errors as a bare "fetch failed".
+    if (error.cause?.message === PRIVATE_URL_MESSAGE) {
+      throw new Error(PRIVATE_URL_MESSAGE);
+    }
+    throw error;
+  }
+}
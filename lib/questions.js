@@ -0,0 +1,53 @@
+// Question types hosts can ask invitees when they book. `hasOptions` types
+// choose from the question's `options`; `hasLength` types accept the
+// `minLength`/`maxLength` rules.
+export const QUESTION_TYPES = {
+  SHORT_TEXT: { label: "Short text", hasLength: true, maxLength: 200 },
+  LONG_TEXT: { label: "Long text", hasLength: true, maxLength: 2000 },
+  SELECT: { label: "Single select", hasOptions: true },
+  MULTI_SELECT: { label: "Multi select", hasOptions: true },
+  CHECKBOX: { label: "Checkbox" },
+  PHONE: { label: "Phone number" },
+};
+
+export const QUESTION_TYPE_VALUES = Object.keys(QUESTION_TYPES);
+
+export const MAX_QUESTIONS = 20;
+
+export const PHONE_PATTERN = /^\+?[0-9 ().-]{6,20}$/;
+
+// Empty answers as the booking form starts them.
+export function getDefaultAnswers(questions = []) {
+  return Object.fromEntries(
+    questions.map((question) => [
+      question.id,
+      question.type === "MULTI_SELECT" ? [] : question.type === "CHECKBOX" ? false : "",
+    ])
+  );
+}
+
+// Answers as stored on a booking: one entry per question, with the
+// question's label and type copied so they still read correctly after the
+// event's questions change. Unanswered optional questions are left out.
+export function toStoredAnswers(questions = [], answers = {}) {
+  return questions.flatMap((question) => {
+    const value = answers[question.id];
+    const isEmpty =
+      value === undefined ||
+      value === "" ||
+      value === false ||
+      (Array.isArray(value) && value.length === 0);
+
+    return isEmpty
+      ? []
+      : [{ id: question.id, label: question.label, type: question.type, value }];
+  });
+}
+
+// Display text for a stored answer.
+export function formatAnswer({ type, value }) {
+  if (type === "CHECKBOX") {
+    return value ? "Yes" : "No";
+  }
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
@@ -0,0 +1,25 @@
+// How long before a meeting the invitee can be reminded of it, in minutes.
+// Events pick any of these as their `reminderOffsets`.
+export const REMINDER_OFFSETS = {
+  15: "15 minutes before",
+  60: "1 hour before",
+  120: "2 hours before",
+  1440: "1 day before",
+  10080: "1 week before",
+};
+
+export const REMINDER_OFFSET_VALUES = Object.keys(REMINDER_OFFSETS).map(Number);
+
+export const DEFAULT_REMINDER_OFFSETS = [1440, 60];
+
+// When each of an event's reminders is due for a meeting at `startTime`.
+// Reminders whose time has already passed are skipped: a booking made an
+// hour ahead gets no "1 day before" reminder.
+export function getReminderTimes(offsets, startTime, now = new Date()) {
+  return offsets
+    .map((offset) => ({
+      offset,
+      runAt: new Date(new Date(startTime).getTime() - offset * 60 * 1000),
+    }))
+    .filter(({ runAt }) => runAt > now);
+}
@@ -0,0 +1,21 @@
+// Top-level routes of the app. Every other path at the root is a user's
+// booking page (app/[username]), so these names can't be usernames. Keep
+// this in sync with the folders under app/.
+
+// Routes that need a signed-in user.
+export const PROTECTED_ROUTES = ["dashboard", "events", "meetings", "availability", "teams", "webhooks"];
+
+export const PUBLIC_ROUTES = ["sign-in", "sign-up", "booking", "api"];
+
+// Not routes (yet), but too confusing to hand out as someone's page.
+const OTHER_RESERVED_NAMES = ["_next", "admin", "settings", "account", "help", "support", "about", "static"];
+
+const RESERVED_USERNAMES = new Set([
+  ...PROTECTED_ROUTES,
+  ...PUBLIC_ROUTES,
+  ...OTHER_RESERVED_NAMES,
+]);
+
+export function isReservedUsername(username) {
+  return RESERVED_USERNAMES.has(username.toLowerCase());
+}
@@ -0,0 +1,77 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createHmac,
+  randomBytes,
+  timingSafeEqual,
+} from "crypto";
+
+// Symmetric encryption for credentials stored in the database (AES-256-GCM),
+// and signed tokens for links handed out to people without an account.
+// Both are keyed from APP_SECRET, so rotating it invalidates stored
+// credentials and every link already sent.
+
+function getKey() {
+  const secret = process.env.APP_SECRET;
+  if (!secret) {
+    throw new Error("APP_SECRET is not configured");
+  }
+  return createHash("sha256").update(secret).digest();
+}
+
+export function encryptSecret(plainText) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+export function decryptSecret(value) {
+  const [iv, tag, encrypted] = value
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+
+  const decipher = createDecipheriv("aes-256-gcm", getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
+
+function sign(purpose, value) {
+  return createHmac("sha256", getKey())
+    .update(`${purpose}:${value}`)
+    .digest("base64url");
+}
+
+// `value.signature`. `purpose` keeps a token minted for one use from being
+// accepted for another.
+export function createSignedToken(purpose, value) {
+  return `${value}.${sign(purpose, value)}`;
+}
+
+// The signed value, or null when the token was not issued by us for this
+// purpose.
+export function verifySignedToken(purpose, token) {
+  if (typeof token !== "string") {
+    return null;
+  }
+
+  const separator = token.lastIndexOf(".");
+  if (separator <= 0) {
+    return null;
+  }
+
+  const value = token.slice(0, separator);
+  const signature = Buffer.from(token.slice(separator + 1));
+  const expected = Buffer.from(sign(purpose, value));
+
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  return value;
+}
@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createSignedToken,
+  decryptSecret,
+  encryptSecret,
+  verifySignedToken,
+} from "@/lib/secrets";
+
+beforeEach(() => {
+  vi.stubEnv("APP_SECRET", "test-secret");
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("encryptSecret", () => {
+  it("round-trips through decryptSecret", () => {
+    const encrypted = encryptSecret("hunter2");
+
+    expect(encrypted).not.toContain("hunter2");
+    expect(decryptSecret(encrypted)).toBe("hunter2");
+  });
+
+  it("refuses tampered values", () => {
+    const [iv, tag, data] = encryptSecret("hunter2").split(".");
+    const flipped = `${data[0] === "A" ? "B" : "A"}${data.slice(1)}`;
+
+    expect(() => decryptSecret([iv, tag, flipped].join("."))).toThrow();
+  });
+});
+
+describe("signed tokens", () => {
+  it("gives back the signed value", () => {
+    const token = createSignedToken("booking", "abc");
+
+    expect(verifySignedToken("booking", token)).toBe("abc");
+  });
+
+  it("refuses a changed value or signature", () => {
+    const token = createSignedToken("booking", "abc");
+    const signature = token.slice(token.lastIndexOf(".") + 1);
+
+    expect(verifySignedToken("booking", `abd.${signature}`)).toBeNull();
+    expect(verifySignedToken("booking", `${token.slice(0, -1)}x`)).toBeNull();
+    expect(verifySignedToken("booking", "abc.")).toBeNull();
+  });
+
+  it("refuses tokens minted for another purpose", () => {
+    const token = createSignedToken("calendar-feed", "abc");
+
+    expect(verifySignedToken("booking", token)).toBeNull();
+  });
+
+  it("refuses tokens signed with another secret", () => {
+    const token = createSignedToken("booking", "abc");
+    vi.stubEnv("APP_SECRET", "rotated");
+
+    expect(verifySignedToken("booking", token)).toBeNull();
+  });
+
+  it("refuses things that aren't tokens", () => {
+    expect(verifySignedToken("booking", undefined)).toBeNull();
+    expect(verifySignedToken("booking", "no-separator")).toBeNull();
+    expect(verifySignedToken("booking", ".signature")).toBeNull();
+  });
+});
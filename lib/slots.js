@@ -0,0 +1,269 @@
+import { addDays, addMinutes, format, isBefore, startOfDay } from "date-fns";
+import {
+  DEFAULT_TIME_ZONE,
+  toZonedDate,
+  zonedTimeToUtc,
+} from "@/lib/time-zone";
+
+// "Indefinitely" still needs an end for listing slots.
+export const MAX_BOOKING_HORIZON_DAYS = 365;
+
+// What an event's start times may step by, and how long its meetings may
+// be. Both bound the number of slots listed per day.
+export const SLOT_INTERVAL_OPTIONS = [5, 10, 15, 20, 30, 45, 60];
+export const MIN_EVENT_DURATION = 5;
+export const MAX_EVENT_DURATION = 720;
+
+const MINUTES_PER_NOTICE_UNIT = {
+  HOURS: 60,
+  DAYS: 24 * 60,
+};
+
+// Minimum notice in minutes: the event's own setting, but never less than
+// the host's global time gap.
+export function getMinimumNoticeMinutes(event, availability) {
+  const eventNotice =
+    (event.minimumNotice ?? 0) *
+    (MINUTES_PER_NOTICE_UNIT[event.minimumNoticeUnit] ?? 60);
+
+  return Math.max(eventNotice, availability?.timeGap ?? 0);
+}
+
+// First and last bookable day of an event, as midnights in the host's zone.
+// Returns null when the window is already over.
+export function getBookingWindow(event, timeZone, now = new Date()) {
+  const today = startOfDay(toZonedDate(now, timeZone));
+  const horizon = addDays(today, MAX_BOOKING_HORIZON_DAYS);
+
+  let firstDay = today;
+  let lastDay;
+
+  switch (event.bookingWindowType) {
+    case "DATE_RANGE": {
+      const rangeStart = zonedDay(event.bookingWindowStart, timeZone);
+      const rangeEnd = zonedDay(event.bookingWindowEnd, timeZone);
+      firstDay = rangeStart > today ? rangeStart : today;
+      lastDay = rangeEnd < horizon ? rangeEnd : horizon;
+      break;
+    }
+    case "INDEFINITE":
+      lastDay = horizon;
+      break;
+    default:
+      lastDay = addDays(today, Math.min(event.bookingWindowDays ?? 30, MAX_BOOKING_HORIZON_DAYS));
+  }
+
+  return firstDay <= lastDay ? { firstDay, lastDay } : null;
+}
+
+// Throws when `startTime` falls outside the event's booking window or
+// inside its minimum notice.
+export function assertBookableTime(event, availability, startTime, now = new Date()) {
+  const timeZone = availability?.timeZone || DEFAULT_TIME_ZONE;
+  const start = new Date(startTime);
+
+  if (isBefore(start, addMinutes(now, getMinimumNoticeMinutes(event, availability)))) {
+    throw new Error("This time is too soon to be booked");
+  }
+
+  const window = getBookingWindow(event, timeZone, now);
+  const day = startOfDay(toZonedDate(start, timeZone));
+
+  if (!window || day < window.firstDay || day > window.lastDay) {
+    throw new Error("This time is outside the event's booking window");
+  }
+}
+
+// Free slots for every day of the event's booking window, grouped by the
+// host's calendar days: [{ date: "yyyy-MM-dd", slots: [ISO string] }].
+// Events with several seats also get `seatsRemaining`: { [ISO string]: n }.
+export function getAvailableDates({ event, availability, bookings, now = new Date() }) {
+  const timeZone = availability.timeZone || DEFAULT_TIME_ZONE;
+  const window = getBookingWindow(event, timeZone, now);
+
+  if (!window) {
+    return [];
+  }
+
+  const earliestStart = addMinutes(now, getMinimumNoticeMinutes(event, availability));
+  const availableDates = [];
+
+  // Days are walked in the host's time zone so that weekdays and
+  // working hours line up with the host's calendar, not the server's.
+  for (let date = window.firstDay; date <= window.lastDay; date = addDays(date, 1)) {
+    const slots = getDaySlots(date, { event, availability, bookings, earliestStart });
+
+    if (slots) {
+      availableDates.push({
+        date: format(date, "yyyy-MM-dd"),
+        slots: slots.map((slot) => slot.startTime),
+        ...(event.seats > 1 && {
+          seatsRemaining: Object.fromEntries(
+            slots.map((slot) => [slot.startTime, slot.seatsRemaining])
+          ),
+        }),
+      });
+    }
+  }
+
+  return availableDates;
+}
+
+// Combines the available dates of several hosts (round-robin events): a
+// slot is open when any of them is free.
+export function mergeAvailableDates(datesPerHost) {
+  const slotsByDate = {};
+  datesPerHost.flat().forEach(({ date, slots }) => {
+    slotsByDate[date] = [...new Set([...(slotsByDate[date] ?? []), ...slots])];
+  });
+
+  return Object.keys(slotsByDate)
+    .sort()
+    .map((date) => ({ date, slots: slotsByDate[date].sort() }));
+}
+
+// The slots every host is free for (collective events), grouped like the
+// first host's dates.
+export function intersectAvailableDates(datesPerHost) {
+  const [first = [], ...others] = datesPerHost;
+  const otherSlots = others.map(
+    (dates) => new Set(dates.flatMap((day) => day.slots))
+  );
+
+  return first.map(({ date, slots }) => ({
+    date,
+    slots: slots.filter((slot) => otherSlots.every((set) => set.has(slot))),
+  }));
+}
+
+// Re-runs the same rules as getAvailableDates for a single start time, so the
+// server never has to trust a slot picked on the client.
+export function assertSlotAvailable({ event, availability, bookings, startTime, now = new Date() }) {
+  assertBookableTime(event, availability, startTime, now);
+
+  const timeZone = availability.timeZone || DEFAULT_TIME_ZONE;
+  const start = new Date(startTime);
+  const slots = getDaySlots(toZonedDate(start, timeZone), {
+    event,
+    availability,
+    bookings,
+    earliestStart: addMinutes(now, getMinimumNoticeMinutes(event, availability)),
+  });
+
+  if (!slots?.some((slot) => slot.startTime === start.toISOString())) {
+    throw new Error("This time slot is no longer available");
+  }
+}
+
+// Free slots of one host-zone day as [{ startTime, seatsRemaining }], or null
+// when the host doesn't work that day.
+function getDaySlots(date, { event, availability, bookings, earliestStart }) {
+  const timeZone = availability.timeZone || DEFAULT_TIME_ZONE;
+  const dateStr = format(date, "yyyy-MM-dd");
+  const dayOfWeek = format(date, "EEEE").toUpperCase();
+
+  // A date override replaces the weekly rule for that date: either a
+  // day off or its own working hours.
+  const override = availability.overrides?.find(
+    (o) => o.date.toISOString().slice(0, 10) === dateStr
+  );
+  const dayRanges = override
+    ? override.isAvailable
+      ? [override]
+      : []
+    : availability.days.filter((d) => d.day === dayOfWeek);
+
+  if (dayRanges.length === 0) {
+    return null;
+  }
+
+  return dayRanges
+    .flatMap((range) =>
+      genrateAvailableTimeSlots(
+        range.startTime,
+        range.endTime,
+        event,
+        dateStr,
+        bookings,
+        earliestStart,
+        timeZone
+      )
+    )
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+// Returns the free slots of one day, with start times as ISO strings (UTC).
+// `startTime`/`endTime` hold wall-clock times in the host's `timeZone`.
+function genrateAvailableTimeSlots(
+  startTime,
+  endTime,
+  event,
+  dateStr,
+  bookings,
+  earliestStart,
+  timeZone
+) {
+  const slots = [];
+  // Start times move on by the slot interval; without one, by the duration.
+  const interval = event.slotInterval || event.duration;
+
+  let currentTime = zonedTimeToUtc(dateStr, startTime.toISOString().slice(11, 16), timeZone);
+  const slotEndTime = zonedTimeToUtc(dateStr, endTime.toISOString().slice(11, 16), timeZone);
+
+  while (currentTime < slotEndTime) {
+    const slotEnd = addMinutes(currentTime, event.duration);
+
+    // The whole meeting has to fit before the range ends.
+    if (slotEnd > slotEndTime) {
+      break;
+    }
+
+    // Both sides are widened by their buffers: this event's own buffers
+    // around the candidate slot and the booked event's buffers around
+    // the existing booking.
+    const busyStart = addMinutes(currentTime, -event.bufferBefore);
+    const busyEnd = addMinutes(slotEnd, event.bufferAfter);
+
+    // Bookings (and holds) of this event at this very time take a seat
+    // instead of blocking the slot. Once a seat is taken, the slot's shared
+    // calendar event shows up in the host's busy times; it's the same
+    // meeting, so it doesn't block either.
+    const seats = bookings.filter((booking) => isSeatOf(booking, event, currentTime));
+    const isSeatedMeeting = (booking) =>
+      seats.length > 0 &&
+      !booking.eventId &&
+      booking.startTime.getTime() === currentTime.getTime() &&
+      booking.endTime.getTime() === slotEnd.getTime();
+    const seatsRemaining = (event.seats ?? 1) - seats.length;
+
+    const isSlotAvailable = seatsRemaining > 0 && !bookings.some(
+      (booking) =>
+        !isSeatOf(booking, event, currentTime) &&
+        !isSeatedMeeting(booking) &&
+        busyStart < addMinutes(booking.endTime, booking.event?.bufferAfter ?? 0) &&
+        busyEnd > addMinutes(booking.startTime, -(booking.event?.bufferBefore ?? 0))
+    );
+
+    if (isSlotAvailable && !isBefore(currentTime, earliestStart)) {
+      slots.push({ startTime: currentTime.toISOString(), seatsRemaining });
+    }
+
+    currentTime = addMinutes(currentTime, interval);
+  }
+
+  return slots;
+}
+
+function isSeatOf(booking, event, startTime) {
+  return (
+    booking.eventId === event.id &&
+    booking.startTime.getTime() === startTime.getTime()
+  );
+}
+
+// @db.Date columns come back as UTC midnights; read them as host-zone days.
+function zonedDay(date, timeZone) {
+  return startOfDay(
+    toZonedDate(zonedTimeToUtc(new Date(date).toISOString().slice(0, 10), "00:00", timeZone), timeZone)
+  );
+}
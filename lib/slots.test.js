@@ -0,0 +1,271 @@
+import { describe, expect, it } from "vitest";
+import {
+  assertBookableTime,
+  assertSlotAvailable,
+  getAvailableDates,
+  getMinimumNoticeMinutes,
+} from "@/lib/slots";
+
+// Wall-clock working hours as they are stored (times of 1970-01-01 UTC).
+function hours(day, startTime, endTime) {
+  return {
+    day,
+    startTime: new Date(`1970-01-01T${startTime}:00.000Z`),
+    endTime: new Date(`1970-01-01T${endTime}:00.000Z`),
+  };
+}
+
+function makeEvent(overrides = {}) {
+  return {
+    id: "event-1",
+    duration: 60,
+    slotInterval: null,
+    bufferBefore: 0,
+    bufferAfter: 0,
+    seats: 1,
+    minimumNotice: 0,
+    minimumNoticeUnit: "HOURS",
+    bookingWindowType: "ROLLING",
+    bookingWindowDays: 30,
+    ...overrides,
+  };
+}
+
+function makeBooking(startTime, endTime, overrides = {}) {
+  return {
+    eventId: "other-event",
+    startTime: new Date(startTime),
+    endTime: new Date(endTime),
+    event: { bufferBefore: 0, bufferAfter: 0 },
+    ...overrides,
+  };
+}
+
+function slotsOn(dates, date) {
+  return dates.find((day) => day.date === date)?.slots ?? [];
+}
+
+// Monday 2026-03-23, before the host's working hours.
+const MONDAY_MORNING = new Date("2026-03-23T06:00:00Z");
+const utcMonday = { timeZone: "UTC", timeGap: 0, days: [hours("MONDAY", "09:00", "12:00")] };
+
+describe("getAvailableDates", () => {
+  it("lists the slots of each working day", () => {
+    const dates = getAvailableDates({
+      event: makeEvent(),
+      availability: utcMonday,
+      bookings: [],
+      now: MONDAY_MORNING,
+    });
+
+    expect(slotsOn(dates, "2026-03-23")).toEqual([
+      "2026-03-23T09:00:00.000Z",
+      "2026-03-23T10:00:00.000Z",
+      "2026-03-23T11:00:00.000Z",
+    ]);
+    expect(slotsOn(dates, "2026-03-24")).toEqual([]);
+  });
+
+  it("moves on by the slot interval", () => {
+    const dates = getAvailableDates({
+      event: makeEvent({ slotInterval: 30 }),
+      availability: utcMonday,
+      bookings: [],
+      now: MONDAY_MORNING,
+    });
+
+    expect(slotsOn(dates, "2026-03-23")).toHaveLength(5);
+  });
+
+  describe("across DST changes", () => {
+    const berlin = {
+      timeZone: "Europe/Berlin",
+      timeGap: 0,
+      days: [hours("SATURDAY", "09:00", "10:00"), hours("SUNDAY", "09:00", "10:00")],
+    };
+
+    it("keeps working hours in the host's wall-clock time", () => {
+      const dates = getAvailableDates({
+        event: makeEvent(),
+        availability: berlin,
+        bookings: [],
+        now: new Date("2026-03-20T00:00:00Z"),
+      });
+
+      // CET (UTC+1) before the change, CEST (UTC+2) after it.
+      expect(slotsOn(dates, "2026-03-28")).toEqual(["2026-03-28T08:00:00.000Z"]);
+      expect(slotsOn(dates, "2026-03-29")).toEqual(["2026-03-29T07:00:00.000Z"]);
+    });
+
+    it("does the same when the clocks go back", () => {
+      const dates = getAvailableDates({
+        event: makeEvent(),
+        availability: berlin,
+        bookings: [],
+        now: new Date("2026-10-20T00:00:00Z"),
+      });
+
+      expect(slotsOn(dates, "2026-10-24")).toEqual(["2026-10-24T07:00:00.000Z"]);
+      expect(slotsOn(dates, "2026-10-25")).toEqual(["2026-10-25T08:00:00.000Z"]);
+    });
+
+    it("only fits the real hours into a range across the missing hour", () => {
+      const dates = getAvailableDates({
+        event: makeEvent(),
+        availability: { ...berlin, days: [hours("SUNDAY", "01:00", "04:00")] },
+        bookings: [],
+        now: new Date("2026-03-20T00:00:00Z"),
+      });
+
+      // 01:00 CET and 03:00 CEST; 02:00 doesn't exist that night.
+      expect(slotsOn(dates, "2026-03-29")).toEqual([
+        "2026-03-29T00:00:00.000Z",
+        "2026-03-29T01:00:00.000Z",
+      ]);
+    });
+  });
+
+  describe("buffers", () => {
+    const event = makeEvent({ duration: 30, slotInterval: 30 });
+
+    it("keeps the event's own buffers clear of other bookings", () => {
+      const dates = getAvailableDates({
+        event: { ...event, bufferBefore: 15, bufferAfter: 15 },
+        availability: utcMonday,
+        bookings: [makeBooking("2026-03-23T10:00:00Z", "2026-03-23T10:30:00Z")],
+        now: MONDAY_MORNING,
+      });
+
+      expect(slotsOn(dates, "2026-03-23")).toEqual([
+        "2026-03-23T09:00:00.000Z",
+        "2026-03-23T11:00:00.000Z",
+        "2026-03-23T11:30:00.000Z",
+      ]);
+    });
+
+    it("keeps clear of the booked event's buffers", () => {
+      const dates = getAvailableDates({
+        event,
+        availability: utcMonday,
+        bookings: [
+          makeBooking("2026-03-23T10:00:00Z", "2026-03-23T10:30:00Z", {
+            event: { bufferBefore: 30, bufferAfter: 30 },
+          }),
+        ],
+        now: MONDAY_MORNING,
+      });
+
+      expect(slotsOn(dates, "2026-03-23")).toEqual([
+        "2026-03-23T09:00:00.000Z",
+        "2026-03-23T11:00:00.000Z",
+        "2026-03-23T11:30:00.000Z",
+      ]);
+    });
+  });
+
+  describe("seats", () => {
+    const event = makeEvent({ seats: 3 });
+    const seat = () =>
+      makeBooking("2026-03-23T09:00:00Z", "2026-03-23T10:00:00Z", { eventId: event.id });
+
+    it("counts the seats left in a slot", () => {
+      const [day] = getAvailableDates({
+        event,
+        availability: utcMonday,
+        bookings: [seat(), seat()],
+        now: MONDAY_MORNING,
+      });
+
+      expect(day.slots).toContain("2026-03-23T09:00:00.000Z");
+      expect(day.seatsRemaining["2026-03-23T09:00:00.000Z"]).toBe(1);
+      expect(day.seatsRemaining["2026-03-23T10:00:00.000Z"]).toBe(3);
+    });
+
+    it("closes a full slot", () => {
+      const [day] = getAvailableDates({
+        event,
+        availability: utcMonday,
+        bookings: [seat(), seat(), seat()],
+        now: MONDAY_MORNING,
+      });
+
+      expect(day.slots).not.toContain("2026-03-23T09:00:00.000Z");
+    });
+
+    it("isn't blocked by the slot's own shared calendar event", () => {
+      const calendarEvent = {
+        startTime: new Date("2026-03-23T09:00:00Z"),
+        endTime: new Date("2026-03-23T10:00:00Z"),
+      };
+      const [day] = getAvailableDates({
+        event,
+        availability: utcMonday,
+        bookings: [seat(), calendarEvent],
+        now: MONDAY_MORNING,
+      });
+
+      expect(day.seatsRemaining["2026-03-23T09:00:00.000Z"]).toBe(2);
+    });
+  });
+
+  describe("minimum notice", () => {
+    const now = new Date("2026-03-23T09:10:00Z");
+
+    it("leaves out slots inside the notice", () => {
+      const dates = getAvailableDates({
+        event: makeEvent({ minimumNotice: 2, minimumNoticeUnit: "HOURS" }),
+        availability: utcMonday,
+        bookings: [],
+        now,
+      });
+
+      expect(slotsOn(dates, "2026-03-23")).toEqual([]);
+    });
+
+    it("never goes below the host's time gap", () => {
+      expect(getMinimumNoticeMinutes(makeEvent({ minimumNotice: 1 }), { timeGap: 90 })).toBe(90);
+      expect(
+        getMinimumNoticeMinutes(makeEvent({ minimumNotice: 1, minimumNoticeUnit: "DAYS" }), {
+          timeGap: 90,
+        })
+      ).toBe(24 * 60);
+    });
+
+    it("is enforced when booking", () => {
+      const event = makeEvent({ minimumNotice: 1, minimumNoticeUnit: "HOURS" });
+
+      expect(() =>
+        assertBookableTime(event, utcMonday, "2026-03-23T10:00:00Z", now)
+      ).toThrow("This time is too soon to be booked");
+      expect(() =>
+        assertBookableTime(event, utcMonday, "2026-03-23T11:00:00Z", now)
+      ).not.toThrow();
+    });
+  });
+});
+
+describe("assertSlotAvailable", () => {
+  it("refuses times that aren't slots", () => {
+    expect(() =>
+      assertSlotAvailable({
+        event: makeEvent(),
+        availability: utcMonday,
+        bookings: [],
+        startTime: "2026-03-23T09:30:00Z",
+        now: MONDAY_MORNING,
+      })
+    ).toThrow("This time slot is no longer available");
+  });
+
+  it("refuses times outside the booking window", () => {
+    expect(() =>
+      assertSlotAvailable({
+        event: makeEvent({ bookingWindowDays: 7 }),
+        availability: utcMonday,
+        bookings: [],
+        startTime: "2026-04-06T09:00:00Z",
+        now: MONDAY_MORNING,
+      })
+    ).toThrow("This time is outside the event's booking window");
+  });
+});
@@ -0,0 +1,23 @@
+// Event slugs as used in booking links: /{username}/{slug}.
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const MAX_SLUG_LENGTH = 60;
+
+// "Intro Call (30 min)" -> "intro-call-30-min"
+export function slugify(text) {
+  const slug = text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, "");
+
+  return slug || "event";
+}
+
+// Deleted events give up their slug so a new event can use it; the event id
+// keeps the renamed slug unique.
+export function getDeletedEventSlug(event) {
+  return `${event.slug}--${event.id}`;
+}
@@ -0,0 +1,51 @@
+import { TZDate } from "@date-fns/tz";
+import { format } from "date-fns";
+
+export const DEFAULT_TIME_ZONE = "UTC";
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Intl does not list "UTC" itself, so it is added in front of the IANA zones.
+export function getSupportedTimeZones() {
+  const zones = Intl.supportedValuesOf?.("timeZone") ?? [];
+  return [DEFAULT_TIME_ZONE, ...zones.filter((zone) => zone !== DEFAULT_TIME_ZONE)];
+}
+
+// Browser zone of the current visitor, falls back to UTC on the server.
+export function detectTimeZone() {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+// Turns a wall-clock date ("yyyy-MM-dd") and time ("HH:mm") in `timeZone`
+// into the matching instant. Times that fall in a DST gap are moved forward
+// by the gap, ambiguous times during fall-back resolve to the first one.
+export function zonedTimeToUtc(dateStr, time, timeZone) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+
+  return new Date(
+    new TZDate(year, month - 1, day, hours, minutes, timeZone).getTime()
+  );
+}
+
+// The given instant as a date-fns aware date in `timeZone`, so that
+// format/startOfDay/addDays work on that zone's calendar.
+export function toZonedDate(date, timeZone) {
+  return new TZDate(new Date(date).getTime(), timeZone);
+}
+
+export function formatInTimeZone(date, timeZone, pattern) {
+  return format(toZonedDate(date, timeZone), pattern);
+}
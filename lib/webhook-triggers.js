@@ -0,0 +1,11 @@
+// Booking updates a webhook can subscribe to.
+export const WEBHOOK_TRIGGERS = {
+  "booking.created": "Booking created (also requests awaiting approval)",
+  "booking.confirmed": "Booking request approved",
+  "booking.declined": "Booking request declined",
+  "booking.expired": "Booking request expired",
+  "booking.rescheduled": "Booking rescheduled",
+  "booking.cancelled": "Booking cancelled",
+};
+
+export const WEBHOOK_TRIGGER_VALUES = Object.keys(WEBHOOK_TRIGGERS);
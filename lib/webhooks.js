@@ -0,0 +1,175 @@
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { db } from "@/lib/prisma";
+import { decryptSecret, encryptSecret } from "@/lib/secrets";
+import { MAX_JOB_ATTEMPTS, enqueueJobs } from "@/lib/jobs";
+import { fetchPublicUrl } from "@/lib/public-url";
+
+// Outgoing webhooks. Each booking update creates a delivery per subscribed
+// webhook, which a WEBHOOK_DELIVERY job POSTs to the webhook's URL and
+// retries until the endpoint answers with a 2xx status.
+//
+// Requests carry a `Schedular-Signature: t=<unix time>,v1=<signature>`
+// header, where the signature is the hex HMAC-SHA256 of "<t>.<body>" keyed
+// with the webhook's secret. The body is JSON:
+// { id, type, createdAt, data: { booking, previousBooking? } }. Redeliveries
+// keep the delivery's `id`, so receivers can skip ones they already have.
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// A new signing secret, encrypted for storage.
+export function createWebhookSecret() {
+  return encryptSecret(`whsec_${randomBytes(24).toString("base64url")}`);
+}
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// What webhooks are told about a booking. `booking` needs its `event` and
+// `user` (the host) loaded.
+function toWebhookBooking(booking) {
+  return {
+    id: booking.id,
+    status: booking.status,
+    startTime: booking.startTime.toISOString(),
+    endTime: booking.endTime.toISOString(),
+    timeZone: booking.timeZone,
+    name: booking.name,
+    email: booking.email,
+    additionalInfo: booking.additionalInfo,
+    answers: booking.answers ?? [],
+    locationType: booking.locationType,
+    location: booking.location,
+    meetLink: booking.meetLink,
+    cancelledBy: booking.cancelledBy ?? null,
+    cancellationReason: booking.cancellationReason ?? null,
+    rescheduledFromId: booking.rescheduledFromId ?? null,
+    event: {
+      id: booking.event.id,
+      title: booking.event.title,
+      slug: booking.event.slug,
+    },
+    host: { name: booking.user.name, email: booking.user.email },
+  };
+}
+
+// Queues `trigger` (e.g. "booking.created") for the webhooks of the
+// booking's event and the account-wide webhooks of its owner and hosts.
+// Failures are logged only, like emails: webhooks must not undo the change
+// that triggered them.
+export async function triggerWebhooks(trigger, booking, { previousBooking } = {}) {
+  try {
+    const webhooks = await db.webhook.findMany({
+      where: {
+        triggers: { has: trigger },
+        OR: [
+          { eventId: booking.eventId },
+          {
+            eventId: null,
+            userId: {
+              in: [booking.event.userId, booking.userId, ...(booking.coHostIds ?? [])],
+            },
+          },
+        ],
+      },
+    });
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const createdAt = new Date();
+    const data = {
+      booking: toWebhookBooking(booking),
+      ...(previousBooking
+        ? { previousBooking: toWebhookBooking(previousBooking) }
+        : {}),
+    };
+    const deliveries = webhooks.map((webhook) => {
+      const id = randomUUID();
+      return {
+        id,
+        webhookId: webhook.id,
+        trigger,
+        payload: { id, type: trigger, createdAt: createdAt.toISOString(), data },
+      };
+    });
+
+    await db.webhookDelivery.createMany({ data: deliveries });
+    await enqueueDeliveries(deliveries.map((delivery) => delivery.id));
+  } catch (error) {
+    console.error(`Failed to trigger ${trigger} webhooks:`, error);
+  }
+}
+
+export function enqueueDeliveries(deliveryIds) {
+  return enqueueJobs(
+    deliveryIds.map((deliveryId) => ({
+      type: "WEBHOOK_DELIVERY",
+      runAt: new Date(),
+      payload: { deliveryId },
+    }))
+  );
+}
+
+// Handler of WEBHOOK_DELIVERY jobs. Every attempt is recorded on the
+// delivery; an attempt that fails throws so the job is retried, and the
+// delivery is FAILED once the job runs out of attempts.
+export async function deliverWebhook(job) {
+  const delivery = await db.webhookDelivery.findUnique({
+    where: { id: job.payload.deliveryId },
+    include: { webhook: true },
+  });
+
+  // The webhook was deleted in the meantime.
+  if (!delivery) {
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(
+    decryptSecret(delivery.webhook.secret),
+    timestamp,
+    body
+  );
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    // Checked on every attempt: the URL's name may point elsewhere by now.
+    const response = await fetchPublicUrl(delivery.webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Schedular-Webhooks",
+        "Schedular-Event": delivery.trigger,
+        "Schedular-Delivery": delivery.id,
+        "Schedular-Signature": `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    if (!response.ok) {
+      error = `Endpoint responded with status ${response.status}`;
+    }
+  } catch (fetchError) {
+    error = fetchError.message;
+  }
+
+  const isLastAttempt = job.attempts + 1 >= MAX_JOB_ATTEMPTS;
+  await db.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts: { increment: 1 },
+      responseStatus,
+      error,
+      status: !error ? "SUCCEEDED" : isLastAttempt ? "FAILED" : "PENDING",
+      deliveredAt: error ? null : new Date(),
+    },
+  });
+
+  if (error) {
+    throw new Error(error);
+  }
+}
@@ -1,13 +1,47 @@
+import { NextResponse } from "next/server";
 import { clerkMiddleware, createRouteMatcher } from "@clerk/nextjs/server";
+import { PROTECTED_ROUTES, isReservedUsername } from "@/lib/routes";
 
-const isProtectedRoute = createRouteMatcher([
-  "/dashboard(.*)",
-  "/events(.*)",
-  "/meetings(.*)",
-  "/availability(.*)",
-]);
+const isProtectedRoute = createRouteMatcher(
+  PROTECTED_ROUTES.map((route) => `/${route}(.*)`)
+);
+
+// Profile and booking links shared before their host changed username get a
+// 301 to the new one. Pages can only send 307/308 redirects and the database
+// isn't reachable from here, so the old name is looked up through
+// /api/usernames.
+async function getRenamedUrl(req) {
+  const [, username, ...rest] = req.nextUrl.pathname.split("/");
+  const isBookingPage =
+    ["GET", "HEAD"].includes(req.method) &&
+    /^[a-zA-Z0-9_]+$/.test(username ?? "") &&
+    rest.length <= 1 &&
+    !isReservedUsername(username);
+  if (!isBookingPage) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(new URL(`/api/usernames/${username}`, req.url));
+    if (!response.ok) {
+      return null;
+    }
+
+    const url = req.nextUrl.clone();
+    url.pathname = ["", (await response.json()).username, ...rest].join("/");
+    return url;
+  } catch (error) {
+    console.error("Failed to look up renamed username:", error);
+    return null;
+  }
+}
 
 export default clerkMiddleware(async (auth, req) => {
+  const renamedUrl = await getRenamedUrl(req);
+  if (renamedUrl) {
+    return NextResponse.redirect(renamedUrl, 301);
+  }
+
   const { userId,redirectToSignIn } = await auth();
   
   if (!userId && isProtectedRoute(req)) {
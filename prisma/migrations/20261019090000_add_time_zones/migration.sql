@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Availability" ADD COLUMN     "timeZone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "timeZone" TEXT;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "public"."DateOverride" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "isAvailable" BOOLEAN NOT NULL DEFAULT false,
+    "startTime" TIMESTAMP(3),
+    "endTime" TIMESTAMP(3),
+    "reason" TEXT,
+    "availabilityId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DateOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DateOverride_availabilityId_date_key" ON "public"."DateOverride"("availabilityId", "date");
+
+-- AddForeignKey
+ALTER TABLE "public"."DateOverride" ADD CONSTRAINT "DateOverride_availabilityId_fkey" FOREIGN KEY ("availabilityId") REFERENCES "public"."Availability"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "public"."BookingWindowType" AS ENUM ('ROLLING', 'DATE_RANGE', 'INDEFINITE');
+
+-- CreateEnum
+CREATE TYPE "public"."NoticeUnit" AS ENUM ('HOURS', 'DAYS');
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "bookingWindowDays" INTEGER NOT NULL DEFAULT 30,
+ADD COLUMN     "bookingWindowEnd" DATE,
+ADD COLUMN     "bookingWindowStart" DATE,
+ADD COLUMN     "bookingWindowType" "public"."BookingWindowType" NOT NULL DEFAULT 'ROLLING',
+ADD COLUMN     "minimumNotice" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "minimumNoticeUnit" "public"."NoticeUnit" NOT NULL DEFAULT 'HOURS';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "busyCalendarIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
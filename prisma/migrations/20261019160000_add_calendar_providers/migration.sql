@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" RENAME COLUMN "googleEventId" TO "calendarEventId";
+ALTER TABLE "public"."Booking" ALTER COLUMN "calendarEventId" DROP NOT NULL,
+ALTER COLUMN "meetLink" DROP NOT NULL,
+ADD COLUMN     "calendarProvider" TEXT;
+
+-- Every existing booking was created in Google Calendar.
+UPDATE "public"."Booking" SET "calendarProvider" = 'GOOGLE';
+
+-- CreateTable
+CREATE TABLE "public"."CalDavConnection" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "serverUrl" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CalDavConnection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalDavConnection_userId_key" ON "public"."CalDavConnection"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CalDavConnection" ADD CONSTRAINT "CalDavConnection_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
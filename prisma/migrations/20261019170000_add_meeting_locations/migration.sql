@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "public"."LocationType" AS ENUM ('GOOGLE_MEET', 'JITSI', 'ZOOM', 'PHONE', 'IN_PERSON', 'CUSTOM_URL', 'ASK_INVITEE');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "location" TEXT,
+ADD COLUMN     "locationType" "public"."LocationType" NOT NULL DEFAULT 'GOOGLE_MEET';
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "locationType" "public"."LocationType" NOT NULL DEFAULT 'GOOGLE_MEET',
+ADD COLUMN     "locationValue" TEXT;
@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "public"."BookingStatus" AS ENUM ('CONFIRMED', 'CANCELLED', 'RESCHEDULED', 'NO_SHOW', 'COMPLETED');
+
+-- CreateEnum
+CREATE TYPE "public"."BookingActor" AS ENUM ('HOST', 'INVITEE');
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledBy" "public"."BookingActor",
+ADD COLUMN     "status" "public"."BookingStatus" NOT NULL DEFAULT 'CONFIRMED',
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Booking_userId_status_startTime_idx" ON "public"."Booking"("userId", "status", "startTime");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "rescheduledFromId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Booking_rescheduledFromId_key" ON "public"."Booking"("rescheduledFromId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_rescheduledFromId_fkey" FOREIGN KEY ("rescheduledFromId") REFERENCES "public"."Booking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."BookingStatus" ADD VALUE 'PENDING';
+ALTER TYPE "public"."BookingStatus" ADD VALUE 'DECLINED';
+ALTER TYPE "public"."BookingStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "expiresAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "pendingExpiryHours" INTEGER NOT NULL DEFAULT 24,
+ADD COLUMN     "requiresConfirmation" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "answers" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "questions" JSONB NOT NULL DEFAULT '[]';
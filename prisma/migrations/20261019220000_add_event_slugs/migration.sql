@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "slug" TEXT;
+
+-- Backfill slugs from the titles. When a user has several events with the
+-- same title, the oldest gets the plain slug and the others a piece of
+-- their id, so they don't clash with other titles' slugs.
+WITH "base" AS (
+    SELECT "id", "userId", "createdAt",
+           COALESCE(NULLIF(TRIM(BOTH '-' FROM LEFT(REGEXP_REPLACE(LOWER("title"), '[^a-z0-9]+', '-', 'g'), 56)), ''), 'event') AS "slug"
+    FROM "public"."Event"
+), "numbered" AS (
+    SELECT "id", "slug",
+           ROW_NUMBER() OVER (PARTITION BY "userId", "slug" ORDER BY "createdAt", "id") AS "n"
+    FROM "base"
+)
+UPDATE "public"."Event" AS "e"
+SET "slug" = CASE WHEN "numbered"."n" = 1 THEN "numbered"."slug" ELSE "numbered"."slug" || '-' || LEFT("numbered"."id", 8) END
+FROM "numbered"
+WHERE "e"."id" = "numbered"."id";
+
+-- Deleted events don't hold on to their slug.
+UPDATE "public"."Event" SET "slug" = "slug" || '--' || "id" WHERE "deletedAt" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."Event" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Event_userId_slug_key" ON "public"."Event"("userId", "slug");
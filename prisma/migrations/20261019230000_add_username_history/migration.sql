@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "public"."UsernameHistory" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "username" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UsernameHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UsernameHistory_username_key" ON "public"."UsernameHistory"("username");
+
+-- CreateIndex
+CREATE INDEX "UsernameHistory_userId_idx" ON "public"."UsernameHistory"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."UsernameHistory" ADD CONSTRAINT "UsernameHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "public"."TeamRole" AS ENUM ('OWNER', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "public"."EventKind" AS ENUM ('ONE_ON_ONE', 'ROUND_ROBIN');
+
+-- CreateEnum
+CREATE TYPE "public"."HostAssignment" AS ENUM ('LEAST_BOOKED', 'WEIGHTED');
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "assignment" "public"."HostAssignment" NOT NULL DEFAULT 'LEAST_BOOKED',
+ADD COLUMN     "kind" "public"."EventKind" NOT NULL DEFAULT 'ONE_ON_ONE',
+ADD COLUMN     "teamId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."Team" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Team_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."TeamMember" (
+    "id" TEXT NOT NULL,
+    "teamId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "public"."TeamRole" NOT NULL DEFAULT 'MEMBER',
+    "weight" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TeamMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TeamMember_userId_idx" ON "public"."TeamMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TeamMember_teamId_userId_key" ON "public"."TeamMember"("teamId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Event" ADD CONSTRAINT "Event_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "public"."Team"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."TeamMember" ADD CONSTRAINT "TeamMember_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "public"."Team"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."TeamMember" ADD CONSTRAINT "TeamMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterEnum
+ALTER TYPE "public"."EventKind" ADD VALUE 'COLLECTIVE';
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "coHostIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."SlotHold" ADD COLUMN     "coHostIds" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "public"."EventHost" (
+    "id" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EventHost_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EventHost_userId_idx" ON "public"."EventHost"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventHost_eventId_userId_key" ON "public"."EventHost"("eventId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."EventHost" ADD CONSTRAINT "EventHost_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "public"."Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."EventHost" ADD CONSTRAINT "EventHost_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "icsSequence" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "icsUid" TEXT;
+
+-- Existing bookings use their own id as invite UID.
+UPDATE "public"."Booking" SET "icsUid" = "id";
+
+ALTER TABLE "public"."Booking" ALTER COLUMN "icsUid" SET NOT NULL;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."JobType" AS ENUM ('BOOKING_REMINDER');
+
+-- CreateEnum
+CREATE TYPE "public"."JobStatus" AS ENUM ('PENDING', 'RUNNING', 'DONE', 'FAILED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "public"."Event" ADD COLUMN     "reminderOffsets" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
+
+-- CreateTable
+CREATE TABLE "public"."Job" (
+    "id" TEXT NOT NULL,
+    "type" "public"."JobType" NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "runAt" TIMESTAMP(3) NOT NULL,
+    "status" "public"."JobStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "key" TEXT,
+    "bookingId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Job_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Job_key_key" ON "public"."Job"("key");
+
+-- CreateIndex
+CREATE INDEX "Job_status_runAt_idx" ON "public"."Job"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "Job_bookingId_idx" ON "public"."Job"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Job" ADD CONSTRAINT "Job_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "calendarFeedToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_calendarFeedToken_key" ON "public"."User"("calendarFeedToken");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."TeamMember" ADD COLUMN     "acceptedAt" TIMESTAMP(3);
+
+-- Everyone already in a team keeps their place (and their events keep their
+-- hosts); only members invited from now on have to accept.
+UPDATE "public"."TeamMember" SET "acceptedAt" = "createdAt";
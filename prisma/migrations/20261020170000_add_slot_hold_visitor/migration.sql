@@ -0,0 +1,12 @@
+-- Holds only last a few minutes and existing ones have no visitor to tie
+-- them to, so they are dropped.
+DELETE FROM "public"."SlotHold";
+
+-- AlterTable
+ALTER TABLE "public"."SlotHold" ADD COLUMN     "visitorId" TEXT NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "SlotHold_eventId_visitorId_idx" ON "public"."SlotHold"("eventId", "visitorId");
+
+-- CreateIndex
+CREATE INDEX "SlotHold_eventId_expiresAt_idx" ON "public"."SlotHold"("eventId", "expiresAt");
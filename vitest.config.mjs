@@ -0,0 +1,15 @@
+import { dirname } from "path";
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export default defineConfig({
+  resolve: {
+    alias: { "@": __dirname },
+  },
+  test: {
+    include: ["lib/**/*.test.js"],
+    environment: "node",
+  },
+});